@@ -1,204 +1,6 @@
 /* global hljs, Mark */
 
-const sections = [
-  {
-    id: "ecmascript",
-    title: "ECMAScript",
-    root: "1-ECMAScript",
-    description: "Language fundamentals, syntax, and advanced patterns.",
-    intro: [
-      "Start here for the core language: syntax, types, objects, and modern features.",
-      "Each chapter builds toward real-world patterns and performance-minded code."
-    ],
-    files: [
-      "01-Language-Fundamentals.md",
-      "02-Control-Flow.md",
-      "03-Functions.md",
-      "04-Objects.md",
-      "05-Prototype.md",
-      "06-Classes.md",
-      "07-Arrays.md",
-      "08-Strings.md",
-      "09-RegExp.md",
-      "10-Symbols.md",
-      "11-Iterators-and-Generators.md",
-      "12-Collections.md",
-      "13-Async-JavaScript.md",
-      "14-Modules.md",
-      "15-Proxy-and-Reflection.md",
-      "16-Meta-Programming.md",
-      "17-Memory-Management.md",
-      "18-Internationalization.md",
-      "19-Atomics-and-SharedArrayBuffer.md",
-      "20-Temporal-API-S3.md",
-      "21-Decorators-S3.md",
-      "22-Design-Patterns.md",
-      "23-Performance-Optimization.md",
-      "24-Security-Best-Practices.md",
-      "25-Other-Proposals-and-Future-Features.md"
-    ]
-  },
-  {
-    id: "browser",
-    title: "Browser JS",
-    root: "2-BrowserJS",
-    description: "DOM, events, and modern browser APIs.",
-    intro: [
-      "Everything that runs in the browser, from DOM foundations to modern APIs.",
-      "Work through chapters in order or jump to a specific API when you need it."
-    ],
-    files: [
-      "01-DOM.md",
-      "02-BOM.md",
-      "03-Events.md",
-      "04-Forms.md",
-      "05-Storage-APIs.md",
-      "06-Fetch-and-AJAX.md",
-      "07-Multimedia-APIs.md",
-      "08-Graphics-and-Visualization.md",
-      "09-Web-Workers.md",
-      "10-Progressive-Web-Apps.md",
-      "11-Notifications-and-Messaging.md",
-      "12-Device-APIs.md",
-      "13-Sensor-APIs.md",
-      "14-Connectivity-APIs.md",
-      "15-File-APIs.md",
-      "16-Clipboard-API.md",
-      "17-Payment-APIs.md",
-      "18-Credential-Management-API.md",
-      "19-Permissions-API.md",
-      "20-Web-Share-API.md",
-      "21-Contact-Picker-API.md",
-      "22-Screen-Wake-Lock-API.md",
-      "23-Idle-Detection-API.md",
-      "24-Web-Serial-API.md",
-      "25-Web-USB-API.md",
-      "26-Web-Bluetooth-API.md",
-      "27-Web-NFC-API.md",
-      "28-Web-MIDI-API.md",
-      "29-Gamepad-API.md",
-      "30-Screen-Orientation-API.md",
-      "31-Fullscreen-API.md",
-      "32-Pointer-Lock-API.md",
-      "33-Page-Visibility-API.md",
-      "34-Intersection-Observer-API.md",
-      "35-Mutation-Observer-API.md",
-      "36-Resize-Observer-API.md",
-      "37-Performance-APIs.md",
-      "38-Reporting-API.md",
-      "39-Web-Speech-API.md",
-      "40-Web-Components.md",
-      "41-Encoding-API.md",
-      "42-Compression-Streams-API.md",
-      "43-Streams-API.md",
-      "44-Web-Cryptography-API.md",
-      "45-WebGL-API.md",
-      "46-WebGPU-API.md",
-      "47-WebXR-API.md",
-      "48-Picture-in-Picture-API.md",
-      "49-Document-Picture-in-Picture-API.md",
-      "50-View-Transitions-API.md",
-      "51-Popover-API.md",
-      "52-Dialog-Element.md",
-      "53-Content-Security-Policy-API.md",
-      "54-Trusted-Types-API.md",
-      "55-Feature-Policy-API.md",
-      "56-Launch-Handler-API.md",
-      "57-Window-Management-API.md",
-      "58-Accessibility.md"
-    ]
-  },
-  {
-    id: "node",
-    title: "Node.js",
-    root: "3-NodeJS",
-    description: "Core modules, runtime APIs, and Node tooling.",
-    intro: [
-      "Server-side JavaScript: core modules, runtime concepts, and tooling.",
-      "Designed for quick lookup and deep dives into Node internals."
-    ],
-    files: [
-      "01-Fundamentals.md",
-      "02-Module-Systems.md",
-      "03-File-System.md",
-      "04-Path.md",
-      "05-HTTP-and-HTTPS.md",
-      "06-Events.md",
-      "07-Streams.md",
-      "08-Buffer.md",
-      "09-URL-and-QueryString.md",
-      "10-OS.md",
-      "11-Crypto.md",
-      "12-Child-Process.md",
-      "13-Cluster.md",
-      "14-Process.md",
-      "15-Timers.md",
-      "16-Utilities.md",
-      "17-Net-and-DNS.md",
-      "18-Readline.md",
-      "19-Compression.md",
-      "20-Advanced-Core-Modules.md",
-      "21-Worker-Threads.md",
-      "22-Test-Runner.md",
-      "23-NPM-and-Package-Management.md",
-      "24-Advanced-Concepts.md",
-      "25-Ecosystem.md"
-    ]
-  },
-  {
-    id: "build",
-    title: "Build Tools",
-    root: "4-BuildTools-and-DevEnvironment",
-    description: "Tooling and developer environment guides.",
-    intro: [
-      "Build systems, bundlers, and developer environment setup.",
-      "Use this section to keep your toolchain consistent and fast."
-    ],
-    files: [
-      "01-Build-Tools-and-Bundlers.md",
-      "02-Transpilers-and-Compilers.md",
-      "03-Linters-and-Formatters.md",
-      "04-Testing-Frameworks.md",
-      "05-Version-Control-and-Git.md",
-      "06-Task-Runners.md",
-      "07-Development-Tools.md",
-      "08-Package-Publishing.md"
-    ]
-  },
-  {
-    id: "extensions",
-    title: "Browser Extensions",
-    root: "5-Browser-Extensions",
-    description: "Extension APIs and workflows.",
-    intro: [
-      "Patterns and APIs for building browser extensions.",
-      "Keep this section handy for permissions and manifest references."
-    ],
-    files: [
-      "01-Extension-Fundamentals.md",
-      "02-Chrome-Extension-APIs.md",
-      "03-Firefox-WebExtensions.md",
-      "04-Extension-Development.md"
-    ]
-  },
-  {
-    id: "advanced",
-    title: "Advanced Topics",
-    root: "6-Advanced-Topics-and-Best-Practices",
-    description: "Best practices and advanced patterns.",
-    intro: [
-      "Deep dives into architecture, security, and performance.",
-      "Use these chapters when you want to refine production-grade code."
-    ],
-    files: [
-      "01-Architecture-and-Design-Patterns.md",
-      "02-Performance-Optimization.md",
-      "03-Security-Best-Practices.md",
-      "04-Deployment-and-DevOps.md",
-      "05-Career-Development.md"
-    ]
-  }
-];
+let sections = [];
 
 const doc = document.getElementById("doc");
 const nav = document.getElementById("nav");
@@ -208,27 +10,407 @@ const menuToggle = document.getElementById("menu-toggle");
 const homeBtn = document.getElementById("home-btn");
 const readingToggle = document.getElementById("reading-toggle");
 const themeToggle = document.getElementById("theme-toggle");
+const appearanceToggle = document.getElementById("appearance-toggle");
+const appearancePanel = document.getElementById("appearance-panel");
+const accentChip = document.getElementById("accent-chip");
+const themeChip = document.getElementById("theme-chip");
 const scrollTopBtn = document.getElementById("scroll-top");
 const docSearch = document.getElementById("doc-search");
+const findCount = document.getElementById("find-count");
+const findControls = document.getElementById("find-controls");
 const toc = document.getElementById("toc");
+const tocToggle = document.getElementById("toc-toggle");
+const tocOverlay = document.getElementById("toc-overlay");
 const palette = document.getElementById("palette");
 const paletteInput = document.getElementById("palette-input");
 const paletteResults = document.getElementById("palette-results");
+const paletteCount = document.getElementById("palette-count");
+const routeAnnouncer = document.getElementById("route-announcer");
+const skipLink = document.querySelector(".skip-link");
 const topbar = document.querySelector(".topbar");
+const shortcutsDialog = document.getElementById("shortcuts");
+const shortcutsList = document.getElementById("shortcuts-list");
+const shortcutsToggle = document.getElementById("shortcuts-toggle");
+const localeSwitcher = document.getElementById("locale-switcher");
+const localeSelect = document.getElementById("locale-select");
 let currentSearchQuery = "";
+let currentRoute = null;
+let tocObserver = null;
+let tocActive = null;
+const tocGroupOverrides = new Map();
+let readingProgress = loadReadingProgress();
+let seenVersions = loadSeenVersions();
+let quizResults = loadQuizResults();
+let quizTarget = null;
+let progressTarget = null;
+let pendingResume = null;
+let progressSaveTimer = null;
+let annotationDb = null;
+let annotations = [];
+let annotationTarget = null;
+let editingNote = null;
+let pendingNoteFocus = null;
 const hero = document.getElementById("hero");
 const sidebarOverlay = document.getElementById("sidebar-overlay");
 const content = document.querySelector(".content");
+const offlinePanel = document.getElementById("offline-panel");
+const offlineDownload = document.getElementById("offline-download");
+const offlineStatus = document.getElementById("offline-status");
+const offlineMeter = document.getElementById("offline-meter");
+const continueCard = document.getElementById("continue-card");
+const annotationsList = document.getElementById("annotations-list");
+const annotationsCount = document.getElementById("annotations-count");
+const annotationsExport = document.getElementById("annotations-export");
+const annotationsImport = document.getElementById("annotations-import");
+const noteSelectionBtn = document.getElementById("note-selection");
+const noteEditor = document.getElementById("note-editor");
+const noteEditorText = document.getElementById("note-editor-text");
+const exportToggle = document.getElementById("export-toggle");
+const exportMenu = document.getElementById("export-menu");
+const hoverCard = document.getElementById("hover-card");
 
-const markdownWorker = "Worker" in window ? new Worker(new URL("assets/markdown-worker.js", document.baseURI)) : null;
+// Prerendered chapter pages live below the site root and say how to get back to it.
+const siteRoot = new URL(document.documentElement.dataset.root || ".", document.baseURI);
+// <html data-routing="path"> swaps #node/07-Streams.md#x URLs for /node/streams#x.
+const cleanUrls = document.documentElement.dataset.routing === "path";
+let scrollSaveTimer = null;
+const markdownWorker = "Worker" in window ? new Worker(resolvePath("assets/markdown-worker.js")) : null;
+let searchWorker = null;
+let searchIndex = { state: "idle", done: 0, total: 0 };
+let searchQueryId = 0;
 let workerRequestId = 0;
 const workerCallbacks = new Map();
 const renderCache = new Map();
 const marker = window.Mark ? new Mark(doc) : null;
 const markdownCacheKey = (path) => `js-guide-md:${path}`;
+const MANIFEST_PATH = "guide.json";
+// Written by scripts/build-manifest.js: content hash and last update of every chapter.
+const VERSIONS_PATH = "guide-versions.json";
+let contentVersions = {};
+// Shared with sw.js, which serves chapters from this cache first.
+const CONTENT_CACHE = "js-guide-content";
+const OFFLINE_CONCURRENCY = 4;
+const SANDBOX_PATH = "assets/sandbox.html";
+const EXPORT_STYLESHEETS = ["assets/export.css", "assets/vendor/highlight/github.min.css"];
+const RUN_TIMEOUT = 10000;
+// Once the snippet itself has returned, the timers and handlers it set up get
+// this long after their last output before the frame is removed.
+const RUN_SETTLE = 1500;
+const RUN_OUTPUT_LIMIT = 200;
+const RUNNABLE_LANGUAGES = ["language-javascript", "language-js"];
+const CODE_LANGUAGES = {
+  javascript: "JavaScript",
+  js: "JavaScript",
+  typescript: "TypeScript",
+  ts: "TypeScript",
+  json: "JSON",
+  html: "HTML",
+  xml: "HTML",
+  css: "CSS",
+  bash: "Bash",
+  sh: "Shell",
+  shell: "Shell",
+  diff: "Diff",
+  plaintext: "Text",
+  text: "Text"
+};
+const NODE_ONLY_PATTERN = /\brequire\s*\(|\bprocess\.|__dirname|__filename|\bmodule\.exports|\bfrom\s+["'](node:|fs|path|http|https|os|crypto|child_process|events|stream|util|worker_threads|cluster|net|dns|zlib|readline)["'/]|\b(chrome|browser)\.[a-z]+\./;
+const originalCode = new WeakMap();
+// Accepted answers per quiz form, taken out of the page by enhanceQuizzes.
+const quizKeys = new WeakMap();
+const sandboxRuns = new Map();
+let sandboxRunId = 0;
 const READING_KEY = "js-guide-reading";
+const PROGRESS_KEY = "js-guide-progress";
+const ANNOTATION_DB = "js-guide";
+const ANNOTATION_STORE = "annotations";
+const NOTE_CONTEXT = 32;
+// What createAnnotationId() produces: a UUID, or two base-36 numbers joined by a dash.
+const ANNOTATION_ID = /^[0-9a-z]+(-[0-9a-z]+)+$/i;
 const MD_INDEX_KEY = "js-guide-md-index";
 const MD_CACHE_LIMIT = 20;
+const MD_VERSIONS_KEY = "js-guide-md-versions";
+const SEEN_KEY = "js-guide-seen";
+const QUIZ_KEY = "js-guide-quiz";
+const LOCALE_KEY = "js-guide-locale";
+const LOCALE_ROOT = "i18n";
+const DEFAULT_LOCALE = { code: "en", name: "English", files: [] };
+const GLOSSARY_PATH = "GLOSSARY.md";
+// Where a term is not linked: code, existing links, headings, and quiz prompts that would give answers away.
+const GLOSSARY_EXCLUDE = ["pre", "code", "kbd", "a", "h1", "h2", "h3", "h4", "h5", "h6", "summary", "button", ".quiz", ".embed-title", ".update-notice", ".translation-notice", ".doc-nav", ".backlinks"];
+// Elements that open the hover card: glossary terms and links to chapters and headings.
+const HOVER_CARD_TRIGGERS = ".glossary-term, #doc a[href], #nav a[href], .palette-item[data-hash]";
+const PREVIEW_DELAY = 350;
+const PREVIEW_BLOCKS = 4;
+const LONG_PRESS = 500;
+const GRAPH_KEY = "js-guide-graph";
+// One colour per section, in manifest order.
+const GRAPH_COLORS = ["#3fb83d", "#3b82f6", "#f59e0b", "#a855f7", "#ef4444", "#14b8a6", "#ec4899", "#64748b"];
+const GRAPH_LAYOUT_STEPS = 300;
+const GRAPH_ZOOM_MIN = 0.2;
+const GRAPH_ZOOM_MAX = 5;
+const THEME_KEY = "js-guide-theme";
+const APPEARANCE_KEY = "js-guide-appearance";
+const THEMES = ["auto", "light", "dark", "sepia", "contrast"];
+// Themes drawn on a dark background: the toggle offers light, and custom accents get a lighter strong shade.
+const DARK_THEMES = ["dark", "contrast"];
+const HLJS_THEMES = { light: "hljs-light", dark: "hljs-dark", sepia: "hljs-sepia", contrast: "hljs-contrast" };
+const DEFAULT_ACCENT = "#3fb83d";
+// Reading settings: the stored value, the CSS variable it drives, and how the panel shows it.
+const APPEARANCE_SETTINGS = {
+  fontSize: { fallback: 100, property: "--doc-font-size", css: (value) => `${value / 100}rem`, label: (value) => `${value}%` },
+  codeSize: { fallback: 100, property: "--code-font-size", css: (value) => `${+(0.0092 * value).toFixed(4)}rem`, label: (value) => `${value}%` },
+  width: { fallback: 90, property: "--doc-width", css: (value) => `${value}ch`, label: (value) => `${value}ch` },
+  lineHeight: { fallback: 1.6, property: "--doc-line-height", css: String, label: (value) => value.toFixed(1) }
+};
+const darkScheme = window.matchMedia("(prefers-color-scheme: dark)");
+const reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)");
+const FOCUSABLE = "a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex='-1'])";
+// English UI text. i18n/<code>/strings.json overrides any of these keys, and can
+// add section.<id>.title|description|intro and chapter.<path> for the navigation.
+const UI_STRINGS = {
+  "site.title": "JavaScript Guide",
+  "brand.subtitle": "Modern, Obsidian-inspired docs",
+  "locale.label": "Language",
+  "translation.missing": "This page is not yet translated into {language}; showing the English original.",
+  "nav.search": "Search chapters",
+  "nav.sections": "Sections",
+  "nav.empty": "No content yet",
+  "nav.home": "Home",
+  "nav.overview": "Overview",
+  "nav.previous": "Previous",
+  "nav.next": "Next",
+  "nav.start": "Start",
+  "nav.end": "End",
+  "doc.unlisted": "{path} is not part of the guide navigation",
+  "topbar.menu": "Toggle navigation",
+  "topbar.home": "Go home",
+  "topbar.top": "Back to top",
+  "theme.light": "Switch to light",
+  "theme.dark": "Switch to dark",
+  "appearance.title": "Appearance",
+  "appearance.theme": "Theme",
+  "appearance.auto": "Auto",
+  "appearance.light": "Light",
+  "appearance.dark": "Dark",
+  "appearance.sepia": "Sepia",
+  "appearance.contrast": "High contrast",
+  "appearance.accent": "Accent color",
+  "appearance.fontSize": "Text size",
+  "appearance.codeSize": "Code size",
+  "appearance.width": "Line width",
+  "appearance.lineHeight": "Line height",
+  "appearance.reset": "Reset to defaults",
+  "appearance.reduceMotion": "Reduce motion",
+  "appearance.accentChip": "Accent: {color}",
+  "appearance.themeChip": "Theme: {theme}",
+  "appearance.autoTheme": "Auto ({theme})",
+  "reading.enter": "Reading mode",
+  "reading.exit": "Exit reading mode",
+  "hero.eyebrow": "JavaScript, end-to-end",
+  "hero.title": "Readable, fast, and pleasant docs.",
+  "hero.text": "Open any chapter on the left. Markdown is rendered live with syntax highlighting and Obsidian-style blocks, tables, and inline code.",
+  "hero.overview": "Open Overview",
+  "hero.ecmascript": "ECMAScript Guide",
+  "hero.renderEngine": "Render engine",
+  "hero.typography": "Typography",
+  "hero.codeFont": "Code font",
+  "continue.reading": "Continue reading",
+  "continue.next": "Up next",
+  "progress.read": "{percent}% read",
+  "progress.completed": "Completed",
+  "landing.chapters": "Chapters",
+  "landing.completed": "{completed} of {total} chapters completed",
+  "load.error": "Unable to load content",
+  "load.chapter": "Could not fetch {path}.",
+  "load.manifest": "Could not load the guide manifest {path}.",
+  "toc.title": "On this page",
+  "toc.filter": "Filter headings",
+  "toc.empty": "No matching headings",
+  "toc.expand": "Show subsections",
+  "heading.copyLink": "Copy link to heading",
+  "find.placeholder": "Find in page",
+  "find.matchCase": "Match case",
+  "find.wholeWord": "Whole word",
+  "find.regex": "Regular expression",
+  "find.previous": "Previous match",
+  "find.previousTitle": "Previous match (Shift+Enter)",
+  "find.next": "Next match",
+  "find.nextTitle": "Next match (Enter)",
+  "find.count": "{current} of {total}",
+  "find.none": "No matches",
+  "find.invalid": "Invalid pattern",
+  "code.lineNumbers": "Line numbers",
+  "code.wrap": "Wrap lines",
+  "code.copy": "Copy code",
+  "code.copied": "Copied",
+  "code.editable": "Editable code example",
+  "code.run": "Run",
+  "code.reset": "Reset",
+  "code.hint": "Editable · runs in a sandbox",
+  "code.output": "Console output",
+  "code.sandbox": "Code sandbox",
+  "code.stopped": "Stopped after {seconds}s",
+  "code.truncated": "… output truncated",
+  "code.noOutput": "No output",
+  "palette.placeholder": "Jump to a chapter or search the guide...",
+  "palette.label": "Command palette",
+  "palette.section": "Section",
+  "palette.indexing": "Indexing chapters… {done}/{total}",
+  "palette.noMatches": "No matches in chapter text",
+  "palette.inChapters": "In chapters",
+  "palette.results": "Results",
+  "palette.oneResult": "1 result",
+  "palette.resultCount": "{count} results",
+  "a11y.skip": "Skip to content",
+  "a11y.routeChange": "Opened {title}",
+  "shortcuts.title": "Keyboard shortcuts",
+  "shortcuts.toggleTitle": "Keyboard shortcuts (?)",
+  "shortcuts.reset": "Reset to defaults",
+  "shortcuts.resetDone": "Shortcuts reset to the defaults.",
+  "shortcuts.notSet": "Not set",
+  "shortcuts.press": "Press a key…",
+  "shortcuts.change": "Change",
+  "shortcuts.cancel": "Cancel",
+  "shortcuts.changeFor": "Change shortcut for {action}",
+  "shortcuts.palette": "Command palette",
+  "shortcuts.findSteps": "Next / previous match in find",
+  "shortcuts.close": "Close dialogs and menus",
+  "shortcuts.overlap": "{binding} overlaps with \"{action}\" ({other}); pick another key.",
+  "shortcuts.bound": "{action}: {binding}",
+  "shortcuts.moved": "\"{action}\" now uses {binding}.",
+  "shortcuts.noKey": "no key",
+  "shortcut.nextHeading": "Next heading",
+  "shortcut.prevHeading": "Previous heading",
+  "shortcut.prevChapter": "Previous chapter",
+  "shortcut.nextChapter": "Next chapter",
+  "shortcut.findInPage": "Find in page",
+  "shortcut.toggleTheme": "Toggle theme",
+  "shortcut.toggleReading": "Toggle reading mode",
+  "shortcut.goHome": "Go home",
+  "shortcut.goSection": "Go to section overview",
+  "shortcut.showShortcuts": "Show keyboard shortcuts",
+  "key.space": "Space",
+  "common.close": "Close",
+  "common.dismiss": "Dismiss",
+  "common.delete": "Delete",
+  "annotations.title": "Bookmarks & notes",
+  "annotations.export": "Export",
+  "annotations.import": "Import",
+  "annotations.empty": "Bookmark a heading or select text in a chapter to add a note.",
+  "annotations.orphaned": "Passage no longer found",
+  "annotations.importError": "That file is not a JavaScript Guide notes export.",
+  "bookmark.add": "Bookmark heading",
+  "bookmark.remove": "Remove bookmark",
+  "notes.add": "Add note",
+  "notes.note": "Note",
+  "notes.placeholder": "Write a note…",
+  "notes.text": "Note text",
+  "notes.delete": "Delete",
+  "notes.cancel": "Cancel",
+  "notes.save": "Save",
+  "offline.download": "Make available offline",
+  "offline.downloading": "Downloading chapters… {done}/{total}",
+  "offline.all": "All {total} chapters available offline",
+  "offline.some": "{count} of {total} chapters available offline",
+  "offline.usage": "{used} of {quota} used",
+  "offline.failed": "{count} failed, try again when online",
+  "export.title": "Export",
+  "export.chapter": "This chapter",
+  "export.section": "Whole section",
+  "export.html": "Download HTML",
+  "export.print": "Print / Save as PDF",
+  "export.chapterNumber": "Chapter {number}",
+  "export.oneChapter": "1 chapter",
+  "export.chapters": "{count} chapters",
+  "export.exported": "Exported {date}",
+  "export.contents": "Contents",
+  "export.answers": "Answers",
+  "export.failed": "Export failed: {error}",
+  "update.badge": "Updated",
+  "update.badgeTitle": "Updated {date}",
+  "update.notice": "Updated since you last read it",
+  "update.changes": "What changed",
+  "update.noChanges": "No sections were added or removed; the changes are within existing sections.",
+  "quiz.correct": "Correct!",
+  "quiz.wrong": "Not quite.",
+  "quiz.empty": "Answer the question first.",
+  "quiz.count": "Chapter quiz: {total} questions",
+  "quiz.countOne": "Chapter quiz: 1 question",
+  "quiz.score": "Chapter quiz: {correct} of {total} correct",
+  "quiz.scoreOpen": "Chapter quiz: {correct} of {total} correct, {open} still open",
+  "quiz.badge": "Quiz: {correct} of {total} correct",
+  "quiz.summary": "Quizzes: {correct} of {total} questions answered correctly in {chapters}",
+  "quiz.oneChapter": "1 chapter",
+  "quiz.chapters": "{count} chapters",
+  "glossary.title": "Glossary",
+  "glossary.more": "Explained in {chapter}",
+  "palette.page": "Page",
+  "backlinks.title": "Linked from",
+  "backlinks.none": "No other chapter links here yet.",
+  "graph.title": "Chapter graph",
+  "graph.intro": "Every chapter as a dot in its section's colour, with a line for each link between two chapters. Scroll or pinch to zoom, drag to move around and click a chapter to open it.",
+  "graph.label": "Graph of the links between chapters",
+  "graph.filter": "Filter chapters",
+  "graph.orphansOnly": "Only chapters nothing links to",
+  "graph.zoomIn": "Zoom in",
+  "graph.zoomOut": "Zoom out",
+  "graph.fit": "Fit to view",
+  "graph.building": "Reading chapters… {done} of {total}",
+  "graph.unavailable": "The chapter graph needs a browser with canvas and Web Worker support.",
+  "graph.stats": "{chapters} chapters, {links} links between them, {orphans} not linked from any other chapter.",
+  "graph.orphans": "Chapters nothing links to",
+  "graph.noOrphans": "Every chapter is linked from at least one other."
+};
+let manifestSections = [];
+let pluginScripts = [];
+let locales = [];
+let locale = DEFAULT_LOCALE;
+let localeStrings = {};
+let translatedFiles = new Set();
+let glossary = null;
+let glossaryRequest = null;
+let linkGraph = null;
+let linkGraphRequest = null;
+let linkGraphWorker = null;
+let graphView = null;
+let themeChoice = "auto";
+let appearance = defaultAppearance();
+let hoverCardTrigger = null;
+let paletteReturnFocus = null;
+// Set by an in-app navigation so the next render moves focus to the new page; not on first load.
+let routeFocusPending = false;
+let hoverCardShowTimer = null;
+let hoverCardHideTimer = null;
+let longPressTimer = null;
+let longPressed = null;
+const FIND_OPTIONS_KEY = "js-guide-find-options";
+const FIND_MATCH_LIMIT = 1000;
+// Controls the viewer adds to the chapter; their labels are not part of the text.
+const FIND_EXCLUDE = [".heading-anchor", ".heading-bookmark", ".code-lang", ".code-runner-actions", ".update-notice", ".translation-notice"];
+const findOptions = { caseSensitive: false, wholeWord: false, regex: false };
+let findMatches = [];
+let findCurrent = -1;
+const KEYMAP_KEY = "js-guide-keymap";
+// Keys as KeyboardEvent.key values; a space separates the keys of a sequence.
+const DEFAULT_KEYMAP = {
+  nextHeading: "j",
+  prevHeading: "k",
+  prevChapter: "[",
+  nextChapter: "]",
+  findInPage: "/",
+  toggleTheme: "t",
+  toggleReading: "r",
+  goHome: "g h",
+  goSection: "g s",
+  showShortcuts: "?"
+};
+const SEQUENCE_TIMEOUT = 1000;
+let keymap = loadKeymap();
+let pendingKeys = "";
+let pendingKeysTimer = null;
+let rebinding = null;
+let shortcutsReturnFocus = null;
 
 if (markdownWorker) {
   markdownWorker.onmessage = (event) => {
@@ -241,27 +423,63 @@ if (markdownWorker) {
   };
 }
 
-function parseMarkdown(markdown) {
+// Every page a [[wikilink]] can point to.
+function guidePages() {
+  return [
+    { path: "README.md", title: t("nav.overview") },
+    { path: GLOSSARY_PATH, title: t("glossary.title") },
+    ...sections.flatMap((section) => section.files.map((file) => ({
+      path: `${section.root}/${file}`,
+      title: chapterTitle(section, file)
+    })))
+  ];
+}
+
+// What the pipeline needs to resolve [[wikilinks]] and ![[embeds]] in `path`.
+async function markdownContext(markdown, path) {
+  const context = { path, pages: guidePages(), sources: {}, labels: localeStrings };
+  await Promise.all(MarkdownPipeline.embedTargets(markdown, context).map(async (target) => {
+    try {
+      context.sources[target] = (await fetchChapter(target)).markdown;
+    } catch {
+      // The embed falls back to a plain link.
+    }
+  }));
+  return context;
+}
+
+async function parseMarkdown(markdown, path) {
+  const context = await markdownContext(markdown, path);
   if (!markdownWorker) {
-    return Promise.resolve(transformHighlights(markdown)).then((processed) => {
-      return window.marked ? window.marked.parse(processed) : processed;
-    });
+    return window.marked ? MarkdownPipeline.renderMarkdown(window.marked, markdown, context) : markdown;
   }
   return new Promise((resolve) => {
     const id = ++workerRequestId;
     workerCallbacks.set(id, resolve);
-    markdownWorker.postMessage({ id, markdown });
+    markdownWorker.postMessage({ id, markdown, context, plugins: pluginScripts });
   });
 }
 
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 function titleFromFilename(filename) {
   return filename
     .replace(/^[0-9]+-/, "")
     .replace(/-S[0-9]+/g, "")
-    .replace(/\\.md$/i, "")
+    .replace(/\.md$/i, "")
     .replace(/-/g, " ");
 }
 
+function chapterTitle(section, file) {
+  return section.titles?.[file] || titleFromFilename(file);
+}
+
 function slugify(text) {
   return text
     .toLowerCase()
@@ -270,32 +488,156 @@ function slugify(text) {
     .replace(/\\s+/g, "-");
 }
 
+function assignHeadingIds(container) {
+  const used = new Map();
+  container.querySelectorAll("h2, h3").forEach((heading) => {
+    if (!heading.id) {
+      let base = slugify(heading.textContent || "section");
+      const count = (used.get(base) || 0) + 1;
+      used.set(base, count);
+      if (count > 1) base = `${base}-${count}`;
+      heading.id = base;
+    }
+  });
+  // h4 ids come last so adding them never renumbers existing h2/h3 anchors.
+  const taken = new Set(Array.from(container.querySelectorAll("[id]"), (node) => node.id));
+  container.querySelectorAll("h4").forEach((heading) => {
+    if (heading.id) return;
+    const base = slugify(heading.textContent || "section");
+    let id = base;
+    for (let count = 2; taken.has(id); count++) id = `${base}-${count}`;
+    taken.add(id);
+    heading.id = id;
+  });
+  return Array.from(container.querySelectorAll("h2, h3, h4"));
+}
+
+function currentRouteHash() {
+  return routeFromLocation().split("#")[0] || "home";
+}
+
 function buildToc() {
+  const headings = assignHeadingIds(doc);
   if (!toc) return;
-  const headings = Array.from(doc.querySelectorAll("h2, h3"));
+  if (tocObserver) tocObserver.disconnect();
+  tocObserver = null;
+  tocActive = null;
+  tocGroupOverrides.clear();
+  toggleTocDrawer(false);
   if (headings.length < 3) {
     toc.classList.remove("is-visible");
     toc.innerHTML = "";
+    if (tocToggle) tocToggle.hidden = true;
     return;
   }
-  const used = new Map();
+  const routeHash = currentRouteHash();
+  const link = (heading) => {
+    const level = heading.tagName.toLowerCase();
+    return `<a class="toc-link toc-${level}" href="${escapeHtml(routeUrl(`${routeHash}#${encodeURIComponent(heading.id)}`))}" data-target="${escapeHtml(heading.id)}">${escapeHtml(heading.textContent.trim())}</a>`;
+  };
+  const groups = [];
   headings.forEach((heading) => {
-    if (!heading.id) {
-      let base = slugify(heading.textContent || "section");
-      const count = (used.get(base) || 0) + 1;
-      used.set(base, count);
-      if (count > 1) base = `${base}-${count}`;
-      heading.id = base;
+    if (heading.tagName === "H2" || !groups.length) {
+      groups.push({ heading: heading.tagName === "H2" ? heading : null, children: [] });
+      if (heading.tagName === "H2") return;
     }
+    groups[groups.length - 1].children.push(heading);
   });
-  const items = headings
-    .map((heading) => {
-      const level = heading.tagName.toLowerCase();
-      return `<li><a class="toc-link ${level === "h3" ? "toc-h3" : "toc-h2"}" href="javascript:void(0)" data-target="${heading.id}">${heading.textContent}</a></li>`;
+  const items = groups
+    .map((group) => {
+      const children = group.children.map((heading) => `<li>${link(heading)}</li>`).join("");
+      if (!group.heading) return children;
+      return `
+        <li class="toc-group" data-group="${escapeHtml(group.heading.id)}">
+          <div class="toc-row">
+            ${children ? `<button class="toc-toggle" type="button" aria-expanded="false" aria-label="${escapeHtml(t("toc.expand"))}"></button>` : ""}
+            ${link(group.heading)}
+          </div>
+          ${children ? `<ul class="toc-children">${children}</ul>` : ""}
+        </li>
+      `;
     })
     .join("");
-  toc.innerHTML = `<div class="toc-title">On this page</div><ul>${items}</ul>`;
+  toc.innerHTML = `
+    <div class="toc-title">${escapeHtml(t("toc.title"))}</div>
+    <input class="toc-filter" type="search" placeholder="${escapeHtml(t("toc.filter"))}" aria-label="${escapeHtml(t("toc.filter"))}" />
+    <ul class="toc-list">${items}</ul>
+    <p class="toc-empty" hidden>${escapeHtml(t("toc.empty"))}</p>
+  `;
   toc.classList.add("is-visible");
+  if (tocToggle) tocToggle.hidden = false;
+  updateTocActive(headings);
+  if ("IntersectionObserver" in window) {
+    // The observed band is the top 40% of the viewport; whatever heading last
+    // crossed into it is the one being read.
+    tocObserver = new IntersectionObserver(() => updateTocActive(headings), { rootMargin: "0px 0px -60% 0px" });
+    headings.forEach((heading) => tocObserver.observe(heading));
+  }
+}
+
+function updateTocActive(headings) {
+  const line = window.innerHeight * 0.4;
+  let active = headings[0];
+  for (const heading of headings) {
+    if (heading.getBoundingClientRect().top > line) break;
+    active = heading;
+  }
+  setTocActive(active.id);
+}
+
+function setTocActive(id) {
+  if (id === tocActive) return;
+  tocActive = id;
+  toc.querySelectorAll(".toc-link.is-active").forEach((link) => {
+    link.classList.remove("is-active");
+    link.removeAttribute("aria-current");
+  });
+  const link = Array.from(toc.querySelectorAll(".toc-link")).find((item) => item.dataset.target === id);
+  if (!link) return;
+  link.classList.add("is-active");
+  link.setAttribute("aria-current", "location");
+  updateTocGroups();
+  if (link.offsetTop < toc.scrollTop || link.offsetTop > toc.scrollTop + toc.clientHeight - 40) {
+    toc.scrollTop = Math.max(0, link.offsetTop - toc.clientHeight / 3);
+  }
+}
+
+function updateTocGroups() {
+  const filtering = Boolean(toc.querySelector(".toc-filter")?.value.trim());
+  toc.querySelectorAll(".toc-group").forEach((group) => {
+    const toggle = group.querySelector(".toc-toggle");
+    if (!toggle) return;
+    const containsActive = Boolean(group.querySelector(".toc-link.is-active"));
+    const open = filtering || (tocGroupOverrides.get(group.dataset.group) ?? containsActive);
+    group.classList.toggle("is-open", open);
+    toggle.setAttribute("aria-expanded", String(open));
+  });
+}
+
+function filterToc(query) {
+  const term = query.trim().toLowerCase();
+  const matches = (link) => !term || link.textContent.toLowerCase().includes(term);
+  let shown = 0;
+  toc.querySelectorAll(".toc-list > li").forEach((item) => {
+    const children = Array.from(item.querySelectorAll(".toc-children > li"));
+    children.forEach((child) => {
+      child.hidden = !matches(child.querySelector(".toc-link"));
+    });
+    const own = item.querySelector(".toc-row .toc-link") || item.querySelector(".toc-link");
+    const visible = matches(own) || children.some((child) => !child.hidden);
+    item.hidden = !visible;
+    if (visible) shown += 1;
+  });
+  toc.querySelector(".toc-empty").hidden = shown > 0;
+  updateTocGroups();
+}
+
+function toggleTocDrawer(force) {
+  if (!toc) return;
+  const open = force ?? !toc.classList.contains("is-open");
+  toc.classList.toggle("is-open", open);
+  if (tocOverlay) tocOverlay.classList.toggle("open", open);
+  if (tocToggle) tocToggle.setAttribute("aria-expanded", String(open));
 }
 
 function wrapTables() {
@@ -308,13 +650,26 @@ function wrapTables() {
   });
 }
 
+async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch {
+    const temp = document.createElement("textarea");
+    temp.value = text;
+    document.body.appendChild(temp);
+    temp.select();
+    document.execCommand("copy");
+    temp.remove();
+  }
+}
+
 function enhanceHeadings() {
   const headings = doc.querySelectorAll("h2, h3");
   headings.forEach((heading) => {
     if (heading.querySelector(".heading-anchor")) return;
     const button = document.createElement("button");
     button.className = "heading-anchor";
-    button.setAttribute("aria-label", "Copy link to heading");
+    button.setAttribute("aria-label", t("heading.copyLink"));
     button.innerHTML = `
       <svg viewBox="0 0 24 24" aria-hidden="true">
         <path d="M10 14a3 3 0 0 1 0-4l2-2a3 3 0 0 1 4.24 4.24l-1 1" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
@@ -322,19 +677,7 @@ function enhanceHeadings() {
       </svg>
     `;
     button.addEventListener("click", async () => {
-      const url = new URL(window.location.href);
-      url.searchParams.set("heading", heading.id);
-      const text = url.toString();
-      try {
-        await navigator.clipboard.writeText(text);
-      } catch {
-        const temp = document.createElement("input");
-        temp.value = text;
-        document.body.appendChild(temp);
-        temp.select();
-        document.execCommand("copy");
-        temp.remove();
-      }
+      await copyText(resolvePath(routeUrl(`${currentRouteHash()}#${encodeURIComponent(heading.id)}`)));
       button.classList.add("copied");
       setTimeout(() => button.classList.remove("copied"), 1200);
     });
@@ -342,24 +685,81 @@ function enhanceHeadings() {
   });
 }
 
-function scrollToHeadingFromQuery() {
+function findHeading(anchor, root = doc) {
+  if (!anchor) return null;
+  const exact = Array.from(root.querySelectorAll("[id]")).find((node) => node.id === anchor);
+  if (exact) return exact;
+  const normalize = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const wanted = normalize(anchor);
+  if (!wanted) return null;
+  return Array.from(root.querySelectorAll("h1, h2, h3, h4, h5, h6")).find((heading) => {
+    return normalize(heading.id || "") === wanted || normalize(heading.textContent || "") === wanted;
+  }) || null;
+}
+
+function scrollToRequestedHeading(state = parseStateFromHash()) {
+  if (state.scrollY != null) {
+    window.scrollTo({ top: state.scrollY, behavior: "auto" });
+    return;
+  }
+  // ?heading= is how heading links were shared before they carried the route.
   const params = new URLSearchParams(window.location.search);
-  const targetId = params.get("heading");
-  if (!targetId) return;
-  const target = document.getElementById(targetId);
+  const target = findHeading(state.heading || params.get("heading"));
   if (target) {
-    target.scrollIntoView({ behavior: "smooth", block: "start" });
+    target.scrollIntoView({ behavior: scrollBehavior(), block: "start" });
   }
 }
 
-function updateHeadingParam(targetId) {
-  const url = new URL(window.location.href);
-  if (targetId) {
-    url.searchParams.set("heading", targetId);
-  } else {
-    url.searchParams.delete("heading");
+// Headings and the article take focus through tabindex="-1" without joining the tab order.
+function focusElement(node) {
+  if (!node) return;
+  if (!node.matches(FOCUSABLE) && !node.hasAttribute("tabindex")) node.setAttribute("tabindex", "-1");
+  node.focus({ preventScroll: true });
+}
+
+function announce(message) {
+  if (!routeAnnouncer) return;
+  routeAnnouncer.textContent = "";
+  // Setting the text on a later tick gets a repeated message read again.
+  setTimeout(() => {
+    routeAnnouncer.textContent = message;
+  }, 100);
+}
+
+// After an in-app navigation, focus moves to the requested heading or the page's H1
+// and the new page is announced once; #doc itself is not a live region.
+function finishRouteChange(state) {
+  if (!routeFocusPending) return;
+  routeFocusPending = false;
+  focusElement(findHeading(state.heading) || doc.querySelector("h1") || doc);
+  announce(t("a11y.routeChange", { title: breadcrumbs.textContent }));
+}
+
+// Keeps Tab and Shift+Tab inside an open modal dialog.
+function trapFocus(event, container) {
+  if (event.key !== "Tab") return;
+  const focusable = Array.from(container.querySelectorAll(FOCUSABLE)).filter((node) => !node.closest("[hidden]"));
+  if (!focusable.length) {
+    event.preventDefault();
+    return;
+  }
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  if (event.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && (document.activeElement === last || !container.contains(document.activeElement))) {
+    event.preventDefault();
+    first.focus();
+  }
+}
+
+function cachedMarkdownVersions() {
+  try {
+    return JSON.parse(localStorage.getItem(MD_VERSIONS_KEY) || "{}") || {};
+  } catch {
+    return {};
   }
-  history.replaceState(null, "", url.toString());
 }
 
 function touchMarkdownCache(path, markdown) {
@@ -378,25 +778,67 @@ function touchMarkdownCache(path, markdown) {
       } catch {}
     });
   }
+  // On quota errors evict the least recently opened chapters until this one fits.
+  for (;;) {
+    try {
+      localStorage.setItem(markdownCacheKey(path), markdown);
+      break;
+    } catch {
+      const evicted = index.length > 1 ? index.pop() : null;
+      if (!evicted) {
+        index = index.filter((item) => item !== path);
+        break;
+      }
+      try {
+        localStorage.removeItem(markdownCacheKey(evicted));
+      } catch {}
+    }
+  }
+  const versions = cachedMarkdownVersions();
+  const kept = {};
+  index.forEach((item) => {
+    if (versions[item]) kept[item] = versions[item];
+  });
+  if (index.includes(path) && contentVersions[path]) kept[path] = contentVersions[path].hash;
   try {
     localStorage.setItem(MD_INDEX_KEY, JSON.stringify(index));
-  } catch {}
-  try {
-    localStorage.setItem(markdownCacheKey(path), markdown);
+    localStorage.setItem(MD_VERSIONS_KEY, JSON.stringify(kept));
   } catch {}
 }
 
+// The hash in the query string keeps the HTTP and service worker caches from
+// answering with an older copy of the chapter.
+function markdownUrl(path) {
+  const version = contentVersions[path];
+  return version ? `${resolvePath(path)}?v=${version.hash}` : resolvePath(path);
+}
+
+async function fetchMarkdown(path, signal) {
+  let markdown = localStorage.getItem(markdownCacheKey(path));
+  const version = contentVersions[path];
+  if (markdown && version && cachedMarkdownVersions()[path] !== version.hash) markdown = null;
+  if (!markdown) {
+    const response = await fetch(markdownUrl(path), { signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    markdown = await response.text();
+  }
+  touchMarkdownCache(path, markdown);
+  return markdown;
+}
+
 function renderHomeNav(filterText = "") {
   nav.innerHTML = "";
   const label = document.createElement("div");
   label.className = "nav-section";
-  label.textContent = "Sections";
+  label.textContent = t("nav.sections");
   nav.appendChild(label);
 
   sections.forEach((section) => {
     if (filterText && !section.title.toLowerCase().includes(filterText)) return;
     const link = document.createElement("a");
-    link.href = `#${section.id}`;
+    link.href = routeUrl(section.id);
     link.dataset.sectionId = section.id;
     link.textContent = section.title;
     nav.appendChild(link);
@@ -419,18 +861,19 @@ function renderSectionNav(section, filterText = "") {
   if (!section.files.length) {
     const empty = document.createElement("div");
     empty.className = "nav-section";
-    empty.textContent = "No content yet";
+    empty.textContent = t("nav.empty");
     nav.appendChild(empty);
     return;
   }
 
   section.files.forEach((file) => {
-    const title = titleFromFilename(file);
+    const title = chapterTitle(section, file);
     if (filterText && !title.toLowerCase().includes(filterText)) return;
     const link = document.createElement("a");
-    link.href = `#${section.id}/${encodeURIComponent(file)}`;
+    link.href = routeUrl(`${section.id}/${encodeURIComponent(file)}`);
     link.dataset.fileId = file;
-    link.textContent = title;
+    link.dataset.path = `${section.root}/${file}`;
+    link.innerHTML = `<span class="nav-label">${escapeHtml(title)}</span>${updateBadge(link.dataset.path)}${progressBadge(link.dataset.path)}`;
     nav.appendChild(link);
   });
 }
@@ -452,61 +895,605 @@ function closeSidebarOnMobile() {
   }
 }
 
-function transformHighlights(markdown) {
-  return markdown.replace(/==([^=\n]+)==/g, "<mark>$1</mark>");
+function highlightCode(container) {
+  container.querySelectorAll("pre code").forEach((block) => {
+    if (window.hljs) window.hljs.highlightElement(block);
+    decorateCodeLines(block);
+    const label = block.closest(".code-block")?.querySelector(".code-lang");
+    if (label && !label.textContent) label.textContent = codeLanguage(block);
+  });
+}
+
+// The fence info string after the language: `{3,7-9}` highlights lines,
+// `title="server.js"` names the file and the remaining words are flags.
+function codeMeta(block) {
+  const info = block.parentElement?.dataset.info || "";
+  const title = info.match(/\btitle=(?:"([^"]*)"|'([^']*)'|(\S+))/);
+  const ranges = info.match(/\{([\d,\s-]+)\}/);
+  const highlighted = new Set();
+  (ranges ? ranges[1].split(",") : []).forEach((range) => {
+    const [start, end = start] = range.trim().split("-").map(Number);
+    for (let line = start; line <= end && line - start < 1000; line += 1) highlighted.add(line);
+  });
+  const rest = info.replace(title?.[0] || "", " ").replace(ranges?.[0] || "", " ");
+  return {
+    title: title ? title[1] ?? title[2] ?? title[3] : "",
+    highlighted,
+    flags: rest.split(/\s+/).filter(Boolean)
+  };
 }
 
-function transformCallouts(container) {
-  const blocks = Array.from(container.querySelectorAll("blockquote"));
-  blocks.forEach((blockquote) => {
-    const firstParagraph = blockquote.querySelector("p");
-    if (!firstParagraph) return;
-    const text = firstParagraph.textContent || "";
-    const match = text.match(/^\s*\[!([A-Za-z0-9_-]+)\]\s*(.*)$/);
-    if (!match) return;
+function codeFlags(block) {
+  return codeMeta(block).flags;
+}
 
-    const type = match[1].toLowerCase();
-    const title = match[2] || type;
+function codeLanguage(block) {
+  const language = block.result?.language
+    || Array.from(block.classList).find((name) => name.startsWith("language-"))?.slice("language-".length)
+    || "";
+  return CODE_LANGUAGES[language] || language;
+}
 
-    firstParagraph.textContent = text.replace(match[0], "").trim();
-    if (!firstParagraph.textContent) {
-      firstParagraph.remove();
+// Wraps each line of a (highlighted) block in a .code-line span, re-opening
+// highlight spans that cross line breaks, so lines can be numbered and marked.
+function decorateCodeLines(block) {
+  if (block.querySelector(".code-line")) return;
+  const { highlighted } = codeMeta(block);
+  const diff = block.classList.contains("language-diff");
+  const open = [];
+  const lines = block.innerHTML.replace(/\n$/, "").split("\n").map((line, index) => {
+    const reopen = open.map((tag) => tag.html).join("");
+    line.replace(/<(\/?)([a-z]+)[^>]*>/gi, (html, closing, name) => {
+      if (closing) open.pop();
+      else open.push({ html, name });
+      return html;
+    });
+    const close = open.map((tag) => `</${tag.name}>`).reverse().join("");
+    const classes = ["code-line"];
+    if (highlighted.has(index + 1)) classes.push("is-highlighted");
+    if (diff) {
+      const text = line.replace(/<[^>]*>/g, "");
+      if (/^\+(?!\+\+)/.test(text)) classes.push("is-added");
+      if (/^-(?!--)/.test(text)) classes.push("is-removed");
     }
+    return `<span class="${classes.join(" ")}">${reopen}${line}${close}</span>`;
+  });
+  block.innerHTML = `${lines.join("\n")}\n`;
+}
 
+// `controls` is false for exports, which keep the file name and language only.
+function enhanceCodeBlocks(container, controls = true) {
+  container.querySelectorAll("pre > code").forEach((block) => {
+    const pre = block.parentElement;
+    if (pre.parentElement.classList.contains("code-block")) return;
+    const { title, flags } = codeMeta(block);
     const wrapper = document.createElement("div");
-    wrapper.className = `callout callout-${type}`;
+    wrapper.className = "code-block";
+    const toolbar = document.createElement("div");
+    toolbar.className = "code-toolbar";
+    if (title) {
+      const name = document.createElement("span");
+      name.className = "code-title";
+      name.textContent = title;
+      toolbar.appendChild(name);
+    }
+    const label = document.createElement("span");
+    label.className = "code-lang";
+    label.textContent = codeLanguage(block);
+    toolbar.appendChild(label);
+    if (controls) {
+      const [numbers, wrap, copy] = ["code.lineNumbers", "code.wrap", "code.copy"].map((key) => escapeHtml(t(key)));
+      toolbar.insertAdjacentHTML("beforeend", `
+        <span class="code-toolbar-actions">
+          <button type="button" class="code-tool" data-code-tool="numbers" aria-pressed="false" aria-label="${numbers}" title="${numbers}"><i class="fa-solid fa-list-ol"></i></button>
+          <button type="button" class="code-tool" data-code-tool="wrap" aria-pressed="true" aria-label="${wrap}" title="${wrap}"><i class="fa-solid fa-paragraph"></i></button>
+          <button type="button" class="code-tool" data-code-tool="copy" aria-label="${copy}" title="${copy}"><i class="fa-regular fa-copy"></i></button>
+        </span>
+      `);
+    }
+    pre.before(wrapper);
+    wrapper.append(toolbar, pre);
+    if (flags.includes("showLineNumbers")) setCodeTool(wrapper, "numbers", true);
+  });
+}
 
-    const header = document.createElement("div");
-    header.className = "callout-title";
-    header.textContent = title.toUpperCase();
+function setCodeTool(wrapper, tool, enabled) {
+  const pre = wrapper.querySelector("pre");
+  if (tool === "numbers") pre.classList.toggle("has-line-numbers", enabled);
+  if (tool === "wrap") pre.classList.toggle("is-nowrap", !enabled);
+  wrapper.querySelector(`[data-code-tool="${tool}"]`)?.setAttribute("aria-pressed", String(enabled));
+}
 
-    const body = document.createElement("div");
-    body.className = "callout-body";
-    while (blockquote.firstChild) {
-      body.appendChild(blockquote.firstChild);
-    }
+function isRunnableBlock(block, section) {
+  if (!RUNNABLE_LANGUAGES.some((name) => block.classList.contains(name))) return false;
+  // Running a "what does this log?" snippet would give the answer away.
+  if (block.closest(".quiz")) return false;
+  const flags = codeFlags(block);
+  if (flags.includes("norun")) return false;
+  if (flags.includes("run")) return true;
+  if (section && section.runnable === false) return false;
+  return !NODE_ONLY_PATTERN.test(block.textContent || "");
+}
 
-    wrapper.appendChild(header);
-    wrapper.appendChild(body);
-    blockquote.replaceWith(wrapper);
+function enhanceRunnableCode(container, state) {
+  const section = state.mode === "section" ? resolveSection(state.sectionId) : null;
+  const editable = (() => {
+    const probe = document.createElement("div");
+    probe.contentEditable = "plaintext-only";
+    return probe.contentEditable === "plaintext-only" ? "plaintext-only" : "true";
+  })();
+  container.querySelectorAll("pre > code").forEach((block) => {
+    const pre = block.parentElement;
+    if (pre.nextElementSibling?.classList.contains("code-runner")) return;
+    if (!isRunnableBlock(block, section)) return;
+    originalCode.set(block, block.textContent);
+    block.contentEditable = editable;
+    block.spellcheck = false;
+    block.setAttribute("aria-label", t("code.editable"));
+    const runner = document.createElement("div");
+    runner.className = "code-runner";
+    runner.innerHTML = `
+      <div class="code-runner-actions">
+        <button type="button" class="pill" data-code-action="run"><i class="fa-solid fa-play"></i> ${escapeHtml(t("code.run"))}</button>
+        <button type="button" class="pill ghost" data-code-action="reset" hidden><i class="fa-solid fa-rotate-left"></i> ${escapeHtml(t("code.reset"))}</button>
+        <span class="code-runner-hint">${escapeHtml(t("code.hint"))}</span>
+      </div>
+      <div class="code-output" role="log" aria-label="${escapeHtml(t("code.output"))}" hidden></div>
+    `;
+    pre.after(runner);
   });
 }
 
-function highlightCode(container) {
-  if (!window.hljs) return;
-  container.querySelectorAll("pre code").forEach((block) => {
-    window.hljs.highlightElement(block);
-  });
+function appendRunOutput(output, type, text) {
+  if (output.childElementCount >= RUN_OUTPUT_LIMIT) return;
+  const line = document.createElement("div");
+  line.className = `code-output-line is-${type}`;
+  line.textContent = output.childElementCount === RUN_OUTPUT_LIMIT - 1 ? t("code.truncated") : text;
+  output.appendChild(line);
+}
+
+function stopRun(frameWindow) {
+  const run = sandboxRuns.get(frameWindow);
+  if (!run) return;
+  clearTimeout(run.timer);
+  run.frame.remove();
+  run.output.classList.remove("is-running");
+  sandboxRuns.delete(frameWindow);
+}
+
+// Timers a snippet scheduled can still print after "done", so "No output" is
+// only decided here, when the run is torn down.
+function finishRun(run) {
+  if (!run.done || Date.now() >= run.deadline) {
+    appendRunOutput(run.output, "info", t("code.stopped", { seconds: RUN_TIMEOUT / 1000 }));
+  } else if (!run.output.childElementCount) {
+    appendRunOutput(run.output, "info", t("code.noOutput"));
+  }
+  stopRun(run.frame.contentWindow);
+}
+
+function settleRun(run) {
+  clearTimeout(run.timer);
+  run.timer = setTimeout(() => finishRun(run), Math.max(0, Math.min(RUN_SETTLE, run.deadline - Date.now())));
+}
+
+function stopAllRuns() {
+  Array.from(sandboxRuns.keys()).forEach(stopRun);
+}
+
+function runCodeBlock(runner) {
+  const block = runner.previousElementSibling?.querySelector("code");
+  const output = runner.querySelector(".code-output");
+  if (!block || !output) return;
+  const previous = runner.querySelector("iframe");
+  if (previous) stopRun(previous.contentWindow);
+
+  output.hidden = false;
+  output.innerHTML = "";
+  output.classList.add("is-running");
+  const frame = document.createElement("iframe");
+  frame.className = "code-sandbox";
+  frame.title = t("code.sandbox");
+  frame.tabIndex = -1;
+  frame.setAttribute("sandbox", "allow-scripts");
+  frame.setAttribute("aria-hidden", "true");
+  frame.src = resolvePath(SANDBOX_PATH);
+  runner.appendChild(frame);
+
+  const run = { id: ++sandboxRunId, frame, output, code: block.textContent || "", done: false, deadline: Date.now() + RUN_TIMEOUT };
+  run.timer = setTimeout(() => finishRun(run), RUN_TIMEOUT);
+  sandboxRuns.set(frame.contentWindow, run);
+}
+
+function resetCodeBlock(runner) {
+  const block = runner.previousElementSibling?.querySelector("code");
+  if (!block || !originalCode.has(block)) return;
+  const previous = runner.querySelector("iframe");
+  if (previous) stopRun(previous.contentWindow);
+  block.textContent = originalCode.get(block);
+  rehighlightBlock(block);
+  const output = runner.querySelector(".code-output");
+  output.hidden = true;
+  output.innerHTML = "";
+  runner.querySelector("[data-code-action='reset']").hidden = true;
+}
+
+function rehighlightBlock(block) {
+  block.textContent = block.textContent;
+  delete block.dataset.highlighted;
+  if (window.hljs) window.hljs.highlightElement(block);
+  decorateCodeLines(block);
+}
+
+function routeFromLocation() {
+  if (!cleanUrls) return window.location.hash.replace("#", "").trim() || doc.dataset.route || "";
+  const anchor = window.location.hash.slice(1);
+  const route = routeFromPath(window.location.pathname);
+  return anchor ? `${route}#${anchor}` : route;
+}
+
+// Must stay in sync with chapterSlug() in scripts/build-manifest.js.
+function chapterSlug(file) {
+  return file.replace(/\.md$/i, "").replace(/^[0-9]+-/, "").toLowerCase();
+}
+
+// Maps a clean URL back to a route. Besides the slug, the file name with or
+// without .md is accepted, so hand-edited URLs keep working.
+function routeFromPath(pathname) {
+  const relative = pathname.startsWith(siteRoot.pathname) ? pathname.slice(siteRoot.pathname.length) : pathname.replace(/^\//, "");
+  const [sectionKey, chapter] = decodeURIComponent(relative)
+    .replace(/(^|\/)index\.html$/, "")
+    .replace(/\/+$/, "")
+    .split("/");
+  if (!sectionKey) return "home";
+  const section = resolveSection(sectionKey) || sections.find((item) => item.root === sectionKey);
+  if (!section) return sectionKey;
+  if (!chapter) return section.id;
+  const wanted = chapter.toLowerCase().replace(/\.md$/, "");
+  const file = section.files.find((name) => chapterSlug(name) === wanted || name.replace(/\.md$/i, "").toLowerCase() === wanted);
+  return `${section.id}/${encodeURIComponent(file || chapter)}`;
+}
+
+// The href for a route such as "node/07-Streams.md#x", in whichever URL style is active.
+function routeUrl(route) {
+  const raw = route.replace(/^#/, "");
+  if (!cleanUrls) return `#${raw}`;
+  const anchorAt = raw.indexOf("#");
+  const hash = anchorAt === -1 ? raw : raw.slice(0, anchorAt);
+  const anchor = anchorAt === -1 ? "" : raw.slice(anchorAt);
+  const [sectionId, file] = hash.split("/");
+  let path = hash === "home" ? "" : hash;
+  if (resolveSection(sectionId)) {
+    path = file ? `${sectionId}/${encodeURIComponent(chapterSlug(decodeURIComponent(file)))}` : sectionId;
+  }
+  return `${siteRoot.pathname}${path}${anchor}`;
+}
+
+// Hash-style links (#node/07-Streams.md, #home, #node) from bookmarks made
+// before clean URLs were switched on; plain #heading fragments are left alone.
+function legacyRoute(hash) {
+  const raw = hash.replace(/^#/, "");
+  const route = raw.split("#")[0];
+  if (route.includes("/")) return raw;
+  const atRoot = routeFromPath(window.location.pathname) === "home";
+  return atRoot && (route === "home" || route === "glossary" || route === "graph" || resolveSection(route)) ? raw : null;
+}
+
+function isCurrentUrl(href) {
+  return new URL(href, window.location.href).href === window.location.href;
+}
+
+function navigateTo(route, { replace = false } = {}) {
+  const url = routeUrl(route);
+  if (isCurrentUrl(url)) {
+    const state = parseStateFromHash();
+    if (state.heading) scrollToRequestedHeading(state);
+    else window.scrollTo({ top: 0, behavior: scrollBehavior() });
+    return;
+  }
+  saveScrollPosition();
+  if (!cleanUrls) {
+    if (replace) window.location.replace(url);
+    else window.location.hash = url.slice(1);
+    return;
+  }
+  window.history[replace ? "replaceState" : "pushState"](null, "", url);
+  handleRouteChange();
+}
+
+// Back/forward return to where the reader was, so the position lives in each history entry.
+function saveScrollPosition() {
+  clearTimeout(scrollSaveTimer);
+  window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, "");
+}
+
+function scheduleScrollSave() {
+  const href = window.location.href;
+  clearTimeout(scrollSaveTimer);
+  scrollSaveTimer = setTimeout(() => {
+    if (window.location.href === href) saveScrollPosition();
+  }, 200);
+}
+
+// 404.html sends unknown paths to the site root as ?route=node/streams.
+function restoreRedirectedRoute() {
+  const params = new URLSearchParams(window.location.search);
+  const route = params.get("route");
+  if (route === null) return;
+  params.delete("route");
+  const search = params.toString() ? `?${params}` : "";
+  const anchor = window.location.hash.slice(1);
+  const target = cleanUrls
+    ? `${siteRoot.pathname}${route.replace(/^\/+/, "")}`
+    : routeUrl(`${routeFromPath(`${siteRoot.pathname}${route}`)}${anchor ? `#${anchor}` : ""}`);
+  const url = cleanUrls ? `${target}${search}${window.location.hash}` : `${siteRoot.pathname}${search}${target}`;
+  window.history.replaceState(null, "", url);
 }
 
 function parseStateFromHash() {
-  const hash = window.location.hash.replace("#", "").trim();
+  return parseRoute(routeFromLocation());
+}
+
+function parseRoute(raw) {
+  const anchorAt = raw.indexOf("#");
+  const hash = anchorAt === -1 ? raw : raw.slice(0, anchorAt);
+  const heading = anchorAt === -1 ? null : decodeURIComponent(raw.slice(anchorAt + 1)) || null;
   if (!hash || hash === "home") {
-    return { mode: "home", sectionId: null, file: null };
+    return { mode: "home", sectionId: null, file: null, heading };
   }
-  const [sectionId, file] = hash.split("/");
+  if (hash === "glossary") {
+    return { mode: "glossary", sectionId: null, file: null, heading };
+  }
+  if (hash === "graph") {
+    return { mode: "graph", sectionId: null, file: null, heading };
+  }
+  const [sectionKey, file] = hash.split("/");
   const decoded = file ? decodeURIComponent(file) : null;
-  return { mode: "section", sectionId, file: decoded };
+  const byRoot = resolveSection(sectionKey) ? null : sections.find((section) => section.root === sectionKey);
+  return { mode: "section", sectionId: byRoot ? byRoot.id : sectionKey, file: decoded, heading };
+}
+
+function routeForPath(path) {
+  if (path === "README.md") return "#home";
+  if (path === GLOSSARY_PATH) return "#glossary";
+  const slash = path.indexOf("/");
+  if (slash === -1) return null;
+  const root = path.slice(0, slash);
+  const file = path.slice(slash + 1);
+  const section = sections.find((item) => item.root === root);
+  if (!section || !section.files.includes(file)) return null;
+  return `#${section.id}/${encodeURIComponent(file)}`;
+}
+
+function rewriteDocLinks(container, basePath, routeHash = currentRouteHash()) {
+  const base = new URL(basePath, "https://guide.invalid/");
+  const isRelative = (value) => value && !/^[a-z][a-z0-9+.-]*:/i.test(value) && !value.startsWith("//");
+  container.querySelectorAll("a[href]").forEach((link) => {
+    const href = link.getAttribute("href");
+    if (!isRelative(href)) return;
+    if (href.startsWith("#")) {
+      if (href.length > 1) link.setAttribute("href", routeUrl(`${routeHash}${href}`));
+      return;
+    }
+    const target = new URL(href, base);
+    if (target.origin !== base.origin) return;
+    if (!/\.md$/i.test(target.pathname)) {
+      if (cleanUrls) link.setAttribute("href", resolvePath(new URL(href, resolvePath(basePath)).toString()));
+      return;
+    }
+    const path = decodeURIComponent(target.pathname.slice(1));
+    const route = routeForPath(path);
+    if (!route) {
+      link.classList.add("doc-link-unlisted");
+      link.title = t("doc.unlisted", { path });
+      return;
+    }
+    link.setAttribute("href", routeUrl(`${route}${target.hash}`));
+  });
+  // Clean URLs put the page below the site root, where relative images no longer resolve.
+  if (!cleanUrls) return;
+  container.querySelectorAll("img[src]").forEach((image) => {
+    const src = image.getAttribute("src");
+    if (isRelative(src)) image.setAttribute("src", new URL(src, resolvePath(basePath)).toString());
+  });
+}
+
+// Prerendered links are relative to the page's folder, which the first pushState leaves.
+function pinRelativeLinks(container) {
+  container.querySelectorAll("a[href], img[src]").forEach((node) => {
+    const attribute = node.tagName === "IMG" ? "src" : "href";
+    const value = node.getAttribute(attribute);
+    if (value && !value.startsWith("#")) node.setAttribute(attribute, new URL(value, window.location.href).toString());
+  });
+}
+
+function normalizeSection(section) {
+  const titles = {};
+  const files = (section.files || []).map((entry) => {
+    if (typeof entry === "string") return entry;
+    if (entry.title) titles[entry.file] = entry.title;
+    return entry.file;
+  });
+  return { ...section, intro: section.intro || [], files, titles };
+}
+
+async function loadManifest() {
+  // Without the versions file chapters are cached as before, just never revalidated.
+  const versions = fetch(resolvePath(VERSIONS_PATH), { cache: "no-cache" })
+    .then((response) => (response.ok ? response.json() : {}))
+    .catch(() => ({}));
+  const response = await fetch(resolvePath(MANIFEST_PATH), { cache: "no-cache" });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const manifest = await response.json();
+  manifestSections = (manifest.sections || []).map(normalizeSection);
+  locales = (manifest.locales || []).filter((entry) => entry.code);
+  contentVersions = (await versions).files || {};
+  await loadLocale(preferredLocale());
+  pluginScripts = (manifest.plugins || []).map((src) => resolvePath(src));
+  await loadPlugins(pluginScripts);
+}
+
+// One after another, so plugins with the same `order` run in the order guide.json lists them.
+// A script that fails to load is left out and the guide renders without it.
+async function loadPlugins(urls) {
+  for (const url of urls) {
+    await new Promise((resolve) => {
+      const script = document.createElement("script");
+      script.src = url;
+      script.onload = resolve;
+      script.onerror = resolve;
+      document.head.appendChild(script);
+    });
+  }
+}
+
+// Calls `hook` ("dom", or an event under `on`) on every plugin in order. A plugin
+// that throws is skipped; the page and the other plugins carry on.
+function runPluginHooks(hook, ...args) {
+  MarkdownPipeline.listPlugins().forEach((plugin) => {
+    const run = hook === "dom" ? plugin.dom : plugin.on?.[hook];
+    if (typeof run !== "function") return;
+    try {
+      const result = run.apply(plugin, args);
+      if (typeof result?.catch === "function") result.catch((error) => MarkdownPipeline.reportPluginError(plugin, hook, error));
+    } catch (error) {
+      MarkdownPipeline.reportPluginError(plugin, hook, error);
+    }
+  });
+}
+
+function t(key, values = {}) {
+  const text = localeStrings[key] ?? UI_STRINGS[key] ?? key;
+  return String(text).replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+function applyUiStrings() {
+  document.querySelectorAll("[data-i18n]").forEach((node) => {
+    node.textContent = t(node.dataset.i18n);
+  });
+  [["i18nPlaceholder", "placeholder"], ["i18nLabel", "aria-label"], ["i18nTitle", "title"]].forEach(([key, attribute]) => {
+    document.querySelectorAll(`[data-${key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}]`).forEach((node) => {
+      node.setAttribute(attribute, t(node.dataset[key]));
+    });
+  });
+  updateToggleLabels();
+  updateAppearanceChips();
+}
+
+// ?lang= wins and becomes the saved choice, so links can be shared in a language.
+function preferredLocale() {
+  const requested = new URLSearchParams(window.location.search).get("lang");
+  if (requested && locales.some((entry) => entry.code === requested)) {
+    try {
+      localStorage.setItem(LOCALE_KEY, requested);
+    } catch {}
+    return requested;
+  }
+  return localStorage.getItem(LOCALE_KEY) || DEFAULT_LOCALE.code;
+}
+
+function localizeSection(section) {
+  const text = (key) => localeStrings[`section.${section.id}.${key}`];
+  const titles = { ...section.titles };
+  section.files.forEach((file) => {
+    const title = localeStrings[`chapter.${section.root}/${file}`];
+    if (title) titles[file] = title;
+  });
+  return {
+    ...section,
+    title: text("title") || section.title,
+    description: text("description") || section.description,
+    intro: text("intro") || section.intro,
+    titles
+  };
+}
+
+async function loadLocale(code) {
+  const entry = locales.find((item) => item.code === code);
+  locale = entry ? { ...DEFAULT_LOCALE, ...entry } : DEFAULT_LOCALE;
+  localeStrings = {};
+  if (entry) {
+    try {
+      const response = await fetch(resolvePath(`${LOCALE_ROOT}/${entry.code}/strings.json`), { cache: "no-cache" });
+      if (response.ok) localeStrings = await response.json();
+    } catch {
+      // Untranslated strings fall back to English.
+    }
+  }
+  translatedFiles = new Set(locale.files || []);
+  sections = manifestSections.map(localizeSection);
+  document.documentElement.lang = locale.code;
+  applyUiStrings();
+  renderLocaleSwitcher();
+}
+
+function renderLocaleSwitcher() {
+  if (!localeSelect) return;
+  const options = [DEFAULT_LOCALE, ...locales.filter((entry) => entry.code !== DEFAULT_LOCALE.code)];
+  localeSelect.innerHTML = options
+    .map((entry) => `<option value="${escapeHtml(entry.code)}"${entry.code === locale.code ? " selected" : ""}>${escapeHtml(entry.name || entry.code)}</option>`)
+    .join("");
+  localeSwitcher.hidden = options.length < 2;
+}
+
+async function switchLocale(code) {
+  try {
+    localStorage.setItem(LOCALE_KEY, code);
+  } catch {}
+  const url = new URL(window.location.href);
+  if (url.searchParams.has("lang")) {
+    url.searchParams.set("lang", code);
+    window.history.replaceState(window.history.state, "", url);
+  }
+  await loadLocale(code);
+  renderCache.clear();
+  glossary = null;
+  glossaryRequest = null;
+  linkGraphWorker?.terminate();
+  linkGraph = null;
+  linkGraphRequest = null;
+  if (searchWorker) {
+    searchWorker.terminate();
+    searchWorker = null;
+    searchIndex = { state: "idle", done: 0, total: 0 };
+  }
+  currentRoute = null;
+  handleRouteChange();
+  renderAnnotationsPanel();
+  if (offlinePanel && !offlinePanel.hidden) updateOfflineStatus().catch(() => {});
+  if (shortcutsDialog && !shortcutsDialog.hidden) renderShortcuts();
+}
+
+// Translations mirror the English tree under i18n/<code>/; `path` stays the
+// English one everywhere else (routes, progress, notes).
+function chapterSource(path) {
+  return translatedFiles.has(path) ? `${LOCALE_ROOT}/${locale.code}/${path}` : path;
+}
+
+// Falls back to the English file, chapter by chapter, when a translation fails to load.
+async function fetchChapter(path, signal) {
+  const source = chapterSource(path);
+  if (source !== path) {
+    try {
+      return { source, markdown: await fetchMarkdown(source, signal) };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+    }
+  }
+  return { source: path, markdown: await fetchMarkdown(path, signal) };
+}
+
+function renderTranslationNotice() {
+  const notice = document.createElement("aside");
+  notice.className = "translation-notice";
+  notice.setAttribute("role", "note");
+  notice.setAttribute("lang", locale.code);
+  notice.innerHTML = `<i class="fa-solid fa-language" aria-hidden="true"></i> ${escapeHtml(t("translation.missing", { language: locale.name || locale.code }))}`;
+  const title = doc.querySelector(":scope > h1");
+  if (title) title.after(notice);
+  else doc.prepend(notice);
 }
 
 function resolveSection(sectionId) {
@@ -514,31 +1501,117 @@ function resolveSection(sectionId) {
 }
 
 function resolvePath(path) {
-  return new URL(path, document.baseURI).toString();
+  return new URL(path, siteRoot).toString();
+}
+
+function enhanceDocument(state, path, source = path) {
+  if (source === path && locale !== DEFAULT_LOCALE) {
+    doc.setAttribute("lang", DEFAULT_LOCALE.code);
+    renderTranslationNotice();
+  } else {
+    doc.removeAttribute("lang");
+  }
+  if (currentSearchQuery) {
+    applySearch(currentSearchQuery);
+  }
+  rewriteDocLinks(doc, path);
+  // Before the built-in steps, so what plugins add gets a TOC entry, heading anchors and code tools too.
+  runPluginHooks("dom", doc, { path, source, route: state, locale: locale.code });
+  recordChapterVersion(state, source);
+  buildToc();
+  wrapTables();
+  enhanceHeadings();
+  enhanceCodeBlocks(doc);
+  enhanceRunnableCode(doc, state);
+  scrollToRequestedHeading(state);
+  trackChapter(state, path);
+  enhanceQuizzes(path);
+  renderAnnotations(state, path);
+  linkGlossaryTerms(path);
+  renderBacklinks(state, path);
+  finishRouteChange(state);
+  runPluginHooks("render", { container: doc, path, route: state });
+}
+
+function appendDocNav(state) {
+  if (state.mode !== "section" || !state.file) return;
+  const section = resolveSection(state.sectionId);
+  const idx = section ? section.files.indexOf(state.file) : -1;
+  if (idx === -1) return;
+  const nav = document.createElement("div");
+  nav.className = "doc-nav";
+  const prevFile = section.files[idx - 1];
+  const nextFile = section.files[idx + 1];
+  nav.innerHTML = `
+    <a class="doc-nav-link ${prevFile ? "" : "disabled"}" href="${prevFile ? escapeHtml(routeUrl(`${section.id}/${encodeURIComponent(prevFile)}`)) : "#"}">
+      <span>${escapeHtml(t("nav.previous"))}</span>
+      <strong>${escapeHtml(prevFile ? chapterTitle(section, prevFile) : t("nav.start"))}</strong>
+    </a>
+    <a class="doc-nav-link ${nextFile ? "" : "disabled"}" href="${nextFile ? escapeHtml(routeUrl(`${section.id}/${encodeURIComponent(nextFile)}`)) : "#"}">
+      <span>${escapeHtml(t("nav.next"))}</span>
+      <strong>${escapeHtml(nextFile ? chapterTitle(section, nextFile) : t("nav.end"))}</strong>
+    </a>
+  `;
+  doc.appendChild(nav);
+}
+
+// Renders a chapter's HTML, fresh or from renderCache, and highlights its code once the browser is idle.
+function showDocument(html, state, path, controller, source = path) {
+  doc.innerHTML = html;
+  enhanceDocument(state, path, source);
+  appendDocNav(state);
+  requestAnimationFrame(() => {
+    doc.classList.add("is-ready");
+  });
+
+  const runHighlight = () => {
+    if (controller.signal.aborted) return;
+    if (doc.querySelector("pre code")) {
+      highlightCode(doc);
+      // Highlighting rewrites the code blocks and drops any find marks inside them.
+      if (currentSearchQuery) applySearch(currentSearchQuery);
+    }
+  };
+
+  if ("requestIdleCallback" in window) {
+    window.requestIdleCallback(runHighlight, { timeout: 600 });
+  } else {
+    setTimeout(runHighlight, 0);
+  }
 }
 
 async function loadContent(state) {
+  const siteTitle = t("site.title");
   let path = "README.md";
-  let breadcrumb = "Home";
-  let title = "JavaScript Guide";
+  let breadcrumb = t("nav.home");
+  let title = siteTitle;
   let sectionLanding = null;
 
+  if (state.mode === "glossary") {
+    path = GLOSSARY_PATH;
+    breadcrumb = t("glossary.title");
+    title = `${breadcrumb} · ${siteTitle}`;
+  }
+  if (state.mode === "graph") {
+    breadcrumb = t("graph.title");
+    title = `${breadcrumb} · ${siteTitle}`;
+  }
   if (state.mode === "section") {
     const section = resolveSection(state.sectionId);
     if (!section) {
-      window.location.hash = "home";
+      navigateTo("home", { replace: true });
       return;
     }
     if (!state.file) {
       sectionLanding = section;
       breadcrumb = section.title;
-      title = `${section.title} · JavaScript Guide`;
+      title = `${section.title} · ${siteTitle}`;
     } else {
       const targetFile = state.file;
       path = section.files.length ? `${section.root}/${targetFile}` : "README.md";
-      const fileTitle = targetFile ? titleFromFilename(targetFile) : "Overview";
+      const fileTitle = targetFile ? chapterTitle(section, targetFile) : t("nav.overview");
       breadcrumb = `${section.title}${targetFile ? ` / ${fileTitle}` : ""}`;
-      title = `${section.title} · JavaScript Guide`;
+      title = `${fileTitle} · ${section.title} · ${siteTitle}`;
     }
   }
 
@@ -551,31 +1624,64 @@ async function loadContent(state) {
   const controller = new AbortController();
   window.currentDocController = controller;
 
+  // Static pages from scripts/prerender.js ship the chapter already rendered, in English.
+  const source = chapterSource(path);
+  const prerendered = doc.dataset.prerendered === path && source === path;
+  delete doc.dataset.prerendered;
+  doc.removeAttribute("lang");
+
+  stopAllRuns();
+  flushReadingProgress();
+  progressTarget = null;
+  annotationTarget = null;
+  findCurrent = -1;
+  closeNoteEditor();
+  hideHoverCard();
+  if (noteSelectionBtn) noteSelectionBtn.hidden = true;
   document.body.classList.add("is-busy");
   doc.classList.add("is-loading", "fade-in");
   doc.classList.remove("is-ready");
   window.scrollTo({ top: 0, behavior: "auto" });
   try {
-    if (sectionLanding) {
-      const list = sectionLanding.files
-        .map((file) => {
-          const label = titleFromFilename(file);
-          return `<li><a href="#${sectionLanding.id}/${encodeURIComponent(file)}">${label}</a></li>`;
-        })
+    if (state.mode === "graph") {
+      renderGraphPage(controller.signal);
+      finishRouteChange(state);
+      runPluginHooks("render", { container: doc, path: null, route: state });
+      requestAnimationFrame(() => {
+        doc.classList.add("is-ready");
+      });
+      return;
+    }
+    if (sectionLanding) {
+      const list = sectionLanding.files
+        .map((file) => {
+          const label = chapterTitle(sectionLanding, file);
+          const chapterPath = `${sectionLanding.root}/${file}`;
+          const badge = `${updateBadge(chapterPath)}${progressBadge(chapterPath)}${quizBadge(chapterPath)}`;
+          return `<li><a href="${escapeHtml(routeUrl(`${sectionLanding.id}/${encodeURIComponent(file)}`))}">${escapeHtml(label)}</a>${badge}</li>`;
+        })
         .join("");
+      const completed = sectionLanding.files
+        .filter((file) => readingProgress[`${sectionLanding.root}/${file}`]?.completed)
+        .length;
       const intro = (sectionLanding.intro || [])
-        .map((sentence) => `<p>${sentence}</p>`)
+        .map((sentence) => `<p>${escapeHtml(sentence)}</p>`)
         .join("");
       doc.innerHTML = `
-        <h1>${sectionLanding.title}</h1>
-        <p>${sectionLanding.description}</p>
+        <h1>${escapeHtml(sectionLanding.title)}</h1>
+        <p>${escapeHtml(sectionLanding.description)}</p>
         ${intro}
-        <h2>Chapters</h2>
-        <ul>${list}</ul>
+        <h2>${escapeHtml(t("landing.chapters"))}</h2>
+        <p class="read-summary">${escapeHtml(t("landing.completed", { completed, total: sectionLanding.files.length }))}</p>
+        ${quizSummary(sectionLanding)}
+        <ul class="chapter-list">${list}</ul>
       `;
+      applySearch(currentSearchQuery);
       buildToc();
       wrapTables();
       enhanceHeadings();
+      finishRouteChange(state);
+      runPluginHooks("render", { container: doc, path: null, route: state });
       requestAnimationFrame(() => {
         doc.classList.add("is-ready");
       });
@@ -583,90 +1689,30 @@ async function loadContent(state) {
       doc.classList.remove("is-loading");
       return;
     }
-    if (renderCache.has(path)) {
-      const cached = renderCache.get(path);
-      doc.innerHTML = cached;
-      if (currentSearchQuery) {
-        applySearch(currentSearchQuery);
-      }
-      transformCallouts(doc);
-      buildToc();
-      wrapTables();
-      enhanceHeadings();
-      scrollToHeadingFromQuery();
+    if (prerendered) {
+      if (cleanUrls) pinRelativeLinks(doc);
+      enhanceDocument(state, path);
+      highlightCode(doc);
+      if (currentSearchQuery) applySearch(currentSearchQuery);
       requestAnimationFrame(() => {
         doc.classList.add("is-ready");
       });
+      return;
+    }
+    if (renderCache.has(source)) {
+      showDocument(renderCache.get(source), state, path, controller, source);
       document.body.classList.remove("is-busy");
       doc.classList.remove("is-loading");
-      window.scrollTo({ top: 0, behavior: "auto" });
       return;
     }
 
-    let markdown = localStorage.getItem(markdownCacheKey(path));
-    if (!markdown) {
-      const response = await fetch(resolvePath(path), { signal: controller.signal });
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-      markdown = await response.text();
-      touchMarkdownCache(path, markdown);
-    } else {
-      touchMarkdownCache(path, markdown);
-    }
+    const chapter = await fetchChapter(path, controller.signal);
     const render = async () => {
       if (controller.signal.aborted) return;
-      const html = await parseMarkdown(markdown);
+      const html = await parseMarkdown(chapter.markdown, path);
       if (controller.signal.aborted) return;
-      doc.innerHTML = html;
-      renderCache.set(path, html);
-      if (currentSearchQuery) {
-        applySearch(currentSearchQuery);
-      }
-      transformCallouts(doc);
-      buildToc();
-      wrapTables();
-      enhanceHeadings();
-      scrollToHeadingFromQuery();
-      if (state.mode === "section") {
-        const section = resolveSection(state.sectionId);
-        if (section && state.file) {
-          const idx = section.files.indexOf(state.file);
-          if (idx !== -1) {
-            const nav = document.createElement("div");
-            nav.className = "doc-nav";
-            const prevFile = section.files[idx - 1];
-            const nextFile = section.files[idx + 1];
-            nav.innerHTML = `
-              <a class="doc-nav-link ${prevFile ? "" : "disabled"}" href="${prevFile ? `#${section.id}/${encodeURIComponent(prevFile)}` : "#"}">
-                <span>Previous</span>
-                <strong>${prevFile ? titleFromFilename(prevFile) : "Start"}</strong>
-              </a>
-              <a class="doc-nav-link ${nextFile ? "" : "disabled"}" href="${nextFile ? `#${section.id}/${encodeURIComponent(nextFile)}` : "#"}">
-                <span>Next</span>
-                <strong>${nextFile ? titleFromFilename(nextFile) : "End"}</strong>
-              </a>
-            `;
-            doc.appendChild(nav);
-          }
-        }
-      }
-      requestAnimationFrame(() => {
-        doc.classList.add("is-ready");
-      });
-
-      const runHighlight = () => {
-        if (controller.signal.aborted) return;
-        if (doc.querySelector("pre code")) {
-          highlightCode(doc);
-        }
-      };
-
-      if ("requestIdleCallback" in window) {
-        window.requestIdleCallback(runHighlight, { timeout: 600 });
-      } else {
-        setTimeout(runHighlight, 0);
-      }
+      renderCache.set(chapter.source, html);
+      showDocument(html, state, path, controller, chapter.source);
     };
 
     setTimeout(() => {
@@ -679,10 +1725,11 @@ async function loadContent(state) {
   } catch (error) {
     if (controller.signal.aborted) return;
     doc.innerHTML = `
-      <h2>Unable to load content</h2>
-      <p>Could not fetch <strong>${path}</strong>. ${error?.message || ""}</p>
+      <h2>${escapeHtml(t("load.error"))}</h2>
+      <p>${t("load.chapter", { path: `<strong>${escapeHtml(path)}</strong>` })} ${escapeHtml(error?.message || "")}</p>
       <pre><code>python -m http.server</code></pre>
     `;
+    finishRouteChange(state);
   } finally {
     if (!controller.signal.aborted) {
       document.body.classList.remove("is-busy");
@@ -691,23 +1738,152 @@ async function loadContent(state) {
   }
 }
 
+function resolvedTheme() {
+  if (themeChoice !== "auto") return themeChoice;
+  return darkScheme.matches ? "dark" : "light";
+}
+
+// `mode` is what the reader picked; "auto" follows the system colour scheme.
 function setTheme(mode) {
-  const root = document.documentElement;
-  root.dataset.theme = mode;
-  localStorage.setItem("js-guide-theme", mode);
-  const lightCss = document.getElementById("hljs-light");
-  const darkCss = document.getElementById("hljs-dark");
-  if (lightCss && darkCss) {
-    lightCss.disabled = mode === "dark";
-    darkCss.disabled = mode !== "dark";
-  }
+  themeChoice = THEMES.includes(mode) ? mode : "auto";
+  const theme = resolvedTheme();
+  document.documentElement.dataset.theme = theme;
+  localStorage.setItem(THEME_KEY, themeChoice);
+  Object.entries(HLJS_THEMES).forEach(([name, id]) => {
+    const link = document.getElementById(id);
+    if (link) link.disabled = name !== theme;
+  });
   if (themeToggle) {
     const icon = themeToggle.querySelector("i");
     if (icon) {
-      icon.className = mode === "dark" ? "fa-solid fa-sun" : "fa-solid fa-moon";
+      icon.className = DARK_THEMES.includes(theme) ? "fa-solid fa-sun" : "fa-solid fa-moon";
+    }
+  }
+  applyAccent();
+  updateAppearancePanel();
+  updateToggleLabels();
+  drawGraph();
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [value >> 16, (value >> 8) & 255, value & 255];
+}
+
+// The strong shade colours links and headings, so it moves away from the page background.
+function accentStrong(rgb, dark) {
+  const mix = dark ? (channel) => channel + (255 - channel) * 0.35 : (channel) => channel * 0.65;
+  return `#${rgb.map((channel) => Math.round(mix(channel)).toString(16).padStart(2, "0")).join("")}`;
+}
+
+function applyAccent() {
+  const style = document.documentElement.style;
+  if (appearance.accent === DEFAULT_ACCENT) {
+    ["--accent", "--accent-rgb", "--accent-strong"].forEach((property) => style.removeProperty(property));
+  } else {
+    const rgb = hexToRgb(appearance.accent);
+    style.setProperty("--accent", appearance.accent);
+    style.setProperty("--accent-rgb", rgb.join(", "));
+    style.setProperty("--accent-strong", accentStrong(rgb, DARK_THEMES.includes(document.documentElement.dataset.theme)));
+  }
+  updateAppearanceChips();
+}
+
+function applyAppearance() {
+  const style = document.documentElement.style;
+  Object.entries(APPEARANCE_SETTINGS).forEach(([key, setting]) => {
+    if (appearance[key] === setting.fallback) {
+      style.removeProperty(setting.property);
+    } else {
+      style.setProperty(setting.property, setting.css(appearance[key]));
     }
-    themeToggle.setAttribute("title", mode === "dark" ? "Switch to light" : "Switch to dark");
-    themeToggle.setAttribute("aria-label", mode === "dark" ? "Switch to light" : "Switch to dark");
+  });
+  applyMotion();
+  applyAccent();
+  updateAppearancePanel();
+}
+
+// Smooth scrolling and fade-ins stay off when the system or the Appearance panel asks for less motion.
+function applyMotion() {
+  document.documentElement.classList.toggle("reduce-motion", appearance.reduceMotion || reducedMotion.matches);
+}
+
+function scrollBehavior() {
+  return document.documentElement.classList.contains("reduce-motion") ? "auto" : "smooth";
+}
+
+function defaultAppearance() {
+  const defaults = { accent: DEFAULT_ACCENT, reduceMotion: false };
+  Object.entries(APPEARANCE_SETTINGS).forEach(([key, setting]) => {
+    defaults[key] = setting.fallback;
+  });
+  return defaults;
+}
+
+function loadAppearance() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(APPEARANCE_KEY) || "{}") || {};
+  } catch {
+    stored = {};
+  }
+  const loaded = defaultAppearance();
+  if (typeof stored.accent === "string" && /^#[0-9a-f]{6}$/i.test(stored.accent)) loaded.accent = stored.accent.toLowerCase();
+  if (typeof stored.reduceMotion === "boolean") loaded.reduceMotion = stored.reduceMotion;
+  Object.keys(APPEARANCE_SETTINGS).forEach((key) => {
+    if (Number.isFinite(stored[key])) loaded[key] = stored[key];
+  });
+  return loaded;
+}
+
+// Only settings that differ from the defaults are stored.
+function saveAppearance() {
+  const defaults = defaultAppearance();
+  const changed = Object.fromEntries(Object.entries(appearance).filter(([key, value]) => value !== defaults[key]));
+  if (Object.keys(changed).length) {
+    localStorage.setItem(APPEARANCE_KEY, JSON.stringify(changed));
+  } else {
+    localStorage.removeItem(APPEARANCE_KEY);
+  }
+}
+
+function updateAppearanceChips() {
+  if (accentChip) accentChip.textContent = t("appearance.accentChip", { color: appearance.accent });
+  if (themeChip) {
+    const theme = t(`appearance.${resolvedTheme()}`);
+    themeChip.textContent = t("appearance.themeChip", { theme: themeChoice === "auto" ? t("appearance.autoTheme", { theme }) : theme });
+  }
+}
+
+function updateAppearancePanel() {
+  if (!appearancePanel) return;
+  const fields = appearancePanel.elements;
+  fields.theme.value = themeChoice;
+  fields.accent.value = appearance.accent;
+  fields.reduceMotion.checked = appearance.reduceMotion || reducedMotion.matches;
+  fields.reduceMotion.disabled = reducedMotion.matches;
+  Object.entries(APPEARANCE_SETTINGS).forEach(([key, setting]) => {
+    fields[key].value = appearance[key];
+    const output = appearancePanel.querySelector(`output[data-for="${key}"]`);
+    if (output) output.textContent = setting.label(appearance[key]);
+  });
+}
+
+function toggleAppearancePanel(open = appearancePanel.hidden) {
+  appearancePanel.hidden = !open;
+  appearanceToggle.setAttribute("aria-expanded", String(open));
+}
+
+function updateToggleLabels() {
+  if (themeToggle) {
+    const label = t(DARK_THEMES.includes(document.documentElement.dataset.theme) ? "theme.light" : "theme.dark");
+    themeToggle.setAttribute("title", label);
+    themeToggle.setAttribute("aria-label", label);
+  }
+  if (readingToggle) {
+    const label = t(document.body.classList.contains("reading-mode") ? "reading.exit" : "reading.enter");
+    readingToggle.setAttribute("title", label);
+    readingToggle.setAttribute("aria-label", label);
   }
 }
 
@@ -727,10 +1903,9 @@ function setReadingMode(enabled) {
     if (icon) {
       icon.className = enabled ? "fa-solid fa-book-open-reader" : "fa-solid fa-book-open";
     }
-    readingToggle.setAttribute("title", enabled ? "Exit reading mode" : "Reading mode");
-    readingToggle.setAttribute("aria-label", enabled ? "Exit reading mode" : "Reading mode");
     readingToggle.classList.toggle("active", enabled);
   }
+  updateToggleLabels();
 }
 
 function initReadingMode() {
@@ -741,50 +1916,177 @@ function initReadingMode() {
 }
 
 function initTheme() {
-  const stored = localStorage.getItem("js-guide-theme");
-  if (stored) {
-    setTheme(stored);
-    return;
-  }
-  const prefersDark = window.matchMedia("(prefers-color-scheme: dark)").matches;
-  setTheme(prefersDark ? "dark" : "light");
+  appearance = loadAppearance();
+  applyAppearance();
+  setTheme(localStorage.getItem(THEME_KEY) || "auto");
 }
 
 function buildPaletteItems(filter = "") {
   if (!paletteResults) return;
+  if (hoverCardTrigger?.closest(".palette")) hideHoverCard();
   paletteResults.innerHTML = "";
   const term = filter.toLowerCase();
   const items = [];
+  if (glossary) items.push({ label: t("glossary.title"), meta: t("palette.page"), hash: "#glossary" });
+  items.push({ label: t("graph.title"), meta: t("palette.page"), hash: "#graph" });
   sections.forEach((section) => {
     items.push({
       label: section.title,
-      meta: "Section",
+      meta: t("palette.section"),
       hash: `#${section.id}`
     });
     section.files.forEach((file) => {
       items.push({
-        label: titleFromFilename(file),
+        label: chapterTitle(section, file),
         meta: section.title,
+        path: `${section.root}/${file}`,
         hash: `#${section.id}/${encodeURIComponent(file)}`
       });
     });
   });
+  (glossary?.entries || []).forEach((entry) => {
+    items.push({
+      label: [entry.term, ...entry.aliases].join(" · "),
+      meta: t("glossary.title"),
+      hash: "#glossary",
+      heading: entry.id
+    });
+  });
 
   const filtered = items.filter((item) => item.label.toLowerCase().includes(term) || item.meta.toLowerCase().includes(term));
   filtered.slice(0, 60).forEach((item, index) => {
     const row = document.createElement("div");
-    row.className = `palette-item${index === 0 ? " active" : ""}`;
+    row.className = "palette-item";
+    row.id = `palette-item-${index}`;
+    row.setAttribute("role", "option");
     row.dataset.hash = item.hash;
-    row.innerHTML = `${item.label}<span>${item.meta}</span>`;
+    if (item.heading) row.dataset.heading = item.heading;
+    row.innerHTML = `${escapeHtml(item.label)}<span>${item.path ? `${updateBadge(item.path)}${progressBadge(item.path)}` : ""}${escapeHtml(item.meta)}</span>`;
     paletteResults.appendChild(row);
   });
+  setPaletteActive(paletteResults.querySelector(".palette-item"));
+  updatePaletteCount();
+  requestFullTextResults(filter);
+}
+
+// Focus stays in the input; the active option is pointed to with aria-activedescendant.
+function setPaletteActive(item) {
+  paletteResults.querySelectorAll(".palette-item").forEach((row) => {
+    row.classList.toggle("active", row === item);
+    row.setAttribute("aria-selected", String(row === item));
+  });
+  if (item) paletteInput.setAttribute("aria-activedescendant", item.id);
+  else paletteInput.removeAttribute("aria-activedescendant");
+}
+
+function updatePaletteCount() {
+  if (!paletteCount) return;
+  const count = paletteResults.querySelectorAll(".palette-item").length;
+  paletteCount.textContent = count === 1 ? t("palette.oneResult") : t("palette.resultCount", { count });
+}
+
+function ensureSearchIndex() {
+  if (searchWorker || !("Worker" in window)) return;
+  searchWorker = new Worker(resolvePath("assets/search-worker.js"));
+  searchWorker.onmessage = (event) => {
+    const data = event.data || {};
+    if (data.type === "progress") {
+      searchIndex = { state: "building", done: data.done, total: data.total };
+      const status = paletteResults?.querySelector(".palette-status");
+      if (status) status.textContent = t("palette.indexing", { done: data.done, total: data.total });
+    }
+    if (data.type === "ready") {
+      searchIndex = { ...searchIndex, state: "ready" };
+      if (palette?.classList.contains("open")) {
+        requestFullTextResults(paletteInput.value.trim());
+      }
+    }
+    if (data.type === "results" && data.id === searchQueryId) {
+      renderFullTextResults(data.results);
+    }
+  };
+  const files = [];
+  sections.forEach((section) => {
+    section.files.forEach((file) => {
+      const path = `${section.root}/${file}`;
+      files.push({
+        path,
+        url: markdownUrl(chapterSource(path)),
+        hash: `#${section.id}/${encodeURIComponent(file)}`,
+        title: chapterTitle(section, file),
+        sectionTitle: section.title
+      });
+    });
+  });
+  searchIndex = { state: "building", done: 0, total: files.length };
+  searchWorker.postMessage({ type: "build", files });
+}
+
+function requestFullTextResults(query) {
+  paletteResults.querySelector(".palette-fulltext")?.remove();
+  searchQueryId += 1;
+  if (!searchWorker || query.length < 2) return;
+  const group = document.createElement("div");
+  group.className = "palette-fulltext";
+  group.setAttribute("role", "group");
+  group.setAttribute("aria-label", t("palette.inChapters"));
+  paletteResults.appendChild(group);
+  if (searchIndex.state !== "ready") {
+    group.innerHTML = `<div class="palette-status" role="option" aria-disabled="true">${escapeHtml(t("palette.indexing", { done: searchIndex.done, total: searchIndex.total }))}</div>`;
+    return;
+  }
+  searchWorker.postMessage({ type: "query", id: searchQueryId, query, limit: 40 });
+}
+
+function renderFullTextResults(results) {
+  const group = paletteResults?.querySelector(".palette-fulltext");
+  if (!group) return;
+  if (!results.length) {
+    group.innerHTML = `<div class="palette-status" role="option" aria-disabled="true">${escapeHtml(t("palette.noMatches"))}</div>`;
+    return;
+  }
+  const active = paletteResults.querySelector(".palette-item.active");
+  group.innerHTML = `<div class="palette-group" aria-hidden="true">${escapeHtml(t("palette.inChapters"))}</div>`;
+  results.forEach((result, index) => {
+    const row = document.createElement("div");
+    row.className = "palette-item palette-hit";
+    row.id = `palette-hit-${index}`;
+    row.setAttribute("role", "option");
+    row.dataset.hash = result.hash;
+    if (result.anchor) row.dataset.heading = result.anchor;
+    row.innerHTML = `
+      <div class="palette-hit-body">
+        <strong>${escapeHtml(result.heading)}</strong>
+        <p class="palette-snippet">${result.snippet}</p>
+      </div>
+      <span>${escapeHtml(result.chapter)} · ${escapeHtml(result.section)}</span>
+    `;
+    group.appendChild(row);
+  });
+  setPaletteActive(active || group.querySelector(".palette-item"));
+  updatePaletteCount();
+}
+
+function openPaletteItem(item) {
+  closePalette();
+  const heading = item.dataset.heading;
+  const hash = heading ? `${item.dataset.hash}#${encodeURIComponent(heading)}` : item.dataset.hash;
+  navigateTo(hash);
 }
 
 function openPalette() {
   if (!palette) return;
+  paletteReturnFocus = document.activeElement;
   palette.classList.add("open");
   palette.setAttribute("aria-hidden", "false");
+  paletteInput?.setAttribute("aria-expanded", "true");
+  ensureSearchIndex();
   buildPaletteItems("");
+  if (!glossary) {
+    loadGlossary().then((loaded) => {
+      if (loaded && palette.classList.contains("open")) buildPaletteItems(paletteInput.value.trim());
+    });
+  }
   if (paletteInput) {
     paletteInput.value = "";
     paletteInput.focus();
@@ -793,8 +2095,242 @@ function openPalette() {
 
 function closePalette() {
   if (!palette) return;
+  hideHoverCard();
+  const wasOpen = palette.classList.contains("open");
   palette.classList.remove("open");
   palette.setAttribute("aria-hidden", "true");
+  paletteInput?.setAttribute("aria-expanded", "false");
+  paletteInput?.removeAttribute("aria-activedescendant");
+  if (wasOpen && palette.contains(document.activeElement)) paletteReturnFocus?.focus?.();
+  paletteReturnFocus = null;
+}
+
+function loadKeymap() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(KEYMAP_KEY) || "{}") || {};
+  } catch {}
+  const map = { ...DEFAULT_KEYMAP };
+  Object.keys(map).forEach((action) => {
+    if (typeof stored[action] === "string") map[action] = stored[action];
+  });
+  return map;
+}
+
+// Only rebound actions are stored, so changed defaults still reach everyone else.
+function saveKeymap() {
+  const changed = {};
+  Object.keys(keymap).forEach((action) => {
+    if (keymap[action] !== DEFAULT_KEYMAP[action]) changed[action] = keymap[action];
+  });
+  try {
+    if (Object.keys(changed).length) localStorage.setItem(KEYMAP_KEY, JSON.stringify(changed));
+    else localStorage.removeItem(KEYMAP_KEY);
+  } catch {}
+}
+
+function isTyping(target) {
+  return Boolean(target?.closest?.("input, textarea, select, [contenteditable]:not([contenteditable='false'])"));
+}
+
+function shortcutLabel(action) {
+  return t(`shortcut.${action}`);
+}
+
+function keyLabel(key) {
+  return { " ": t("key.space"), ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→", Escape: "Esc" }[key] || key;
+}
+
+function bindingHtml(binding) {
+  if (!binding) return `<span class="shortcut-unbound">${escapeHtml(t("shortcuts.notSet"))}</span>`;
+  return binding.split(" ").map((key) => `<kbd>${escapeHtml(keyLabel(key))}</kbd>`).join(" ");
+}
+
+// Headings below the sticky topbar count as "ahead"; scroll-margin-top says where that is.
+function jumpHeading(direction) {
+  const headings = Array.from(doc.querySelectorAll("h2, h3, h4")).filter((heading) => !heading.closest("details:not([open])"));
+  if (!headings.length) return;
+  const offset = (heading) => heading.getBoundingClientRect().top - (parseFloat(getComputedStyle(heading).scrollMarginTop) || 0);
+  const target = direction > 0
+    ? headings.find((heading) => offset(heading) > 1)
+    : headings.filter((heading) => offset(heading) < -1).pop();
+  if (!target) return;
+  target.scrollIntoView({ behavior: scrollBehavior(), block: "start" });
+  focusElement(target);
+}
+
+function followDocNav(index) {
+  const link = doc.querySelectorAll(".doc-nav-link")[index];
+  if (link && !link.classList.contains("disabled")) link.click();
+}
+
+function runShortcut(action) {
+  switch (action) {
+    case "nextHeading":
+      jumpHeading(1);
+      break;
+    case "prevHeading":
+      jumpHeading(-1);
+      break;
+    case "prevChapter":
+      followDocNav(0);
+      break;
+    case "nextChapter":
+      followDocNav(1);
+      break;
+    case "findInPage":
+      topbar?.classList.remove("topbar-hidden");
+      docSearch.focus();
+      docSearch.select();
+      break;
+    case "toggleTheme":
+      themeToggle.click();
+      break;
+    case "toggleReading":
+      readingToggle?.click();
+      break;
+    case "goHome":
+      navigateTo("home");
+      break;
+    case "goSection":
+      if (currentRoute?.mode === "section") navigateTo(currentRoute.sectionId);
+      break;
+    case "showShortcuts":
+      openShortcuts();
+      break;
+  }
+}
+
+function handleShortcutKey(event) {
+  if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+  if (isTyping(event.target) || palette?.classList.contains("open") || !shortcutsDialog?.hidden) return;
+  if (event.key.length > 1 && !event.key.startsWith("Arrow")) return;
+  clearTimeout(pendingKeysTimer);
+  const bindings = Object.entries(keymap).filter(([, binding]) => binding);
+  // An unfinished sequence followed by a key it does not continue starts over from that key.
+  for (const keys of pendingKeys ? [`${pendingKeys} ${event.key}`, event.key] : [event.key]) {
+    const match = bindings.find(([, binding]) => binding === keys);
+    if (match) {
+      event.preventDefault();
+      pendingKeys = "";
+      runShortcut(match[0]);
+      return;
+    }
+    if (bindings.some(([, binding]) => binding.startsWith(`${keys} `))) {
+      event.preventDefault();
+      pendingKeys = keys;
+      pendingKeysTimer = setTimeout(() => {
+        pendingKeys = "";
+      }, SEQUENCE_TIMEOUT);
+      return;
+    }
+  }
+  pendingKeys = "";
+}
+
+function renderShortcuts(message = "") {
+  if (!shortcutsList) return;
+  const focused = shortcutsList.contains(document.activeElement) ? document.activeElement.dataset.rebind : null;
+  const rows = Object.keys(DEFAULT_KEYMAP).map((action) => {
+    const editing = rebinding?.action === action;
+    const keys = editing
+      ? `<span class="shortcut-recording">${rebinding.keys.length ? bindingHtml(rebinding.keys.join(" ")) : escapeHtml(t("shortcuts.press"))}</span>`
+      : bindingHtml(keymap[action]);
+    return `
+      <li class="shortcut-row${editing ? " is-recording" : ""}">
+        <span class="shortcut-label">${escapeHtml(shortcutLabel(action))}</span>
+        <span class="shortcut-keys">${keys}</span>
+        <button type="button" class="shortcut-edit" data-rebind="${action}" aria-label="${escapeHtml(t("shortcuts.changeFor", { action: shortcutLabel(action) }))}">${escapeHtml(t(editing ? "shortcuts.cancel" : "shortcuts.change"))}</button>
+      </li>
+    `;
+  });
+  const fixed = [
+    ["shortcuts.palette", "<kbd>Ctrl</kbd> <kbd>K</kbd>"],
+    ["shortcuts.findSteps", "<kbd>Enter</kbd> / <kbd>Shift</kbd> <kbd>Enter</kbd>"],
+    ["shortcuts.close", "<kbd>Esc</kbd>"]
+  ].map(([label, keys]) => `
+      <li class="shortcut-row is-fixed">
+        <span class="shortcut-label">${escapeHtml(t(label))}</span>
+        <span class="shortcut-keys">${keys}</span>
+      </li>
+    `);
+  shortcutsList.innerHTML = `${rows.join("")}${fixed.join("")}`;
+  if (focused) shortcutsList.querySelector(`[data-rebind="${focused}"]`)?.focus();
+  const status = shortcutsDialog.querySelector(".shortcuts-status");
+  if (status) status.textContent = message;
+}
+
+function openShortcuts() {
+  if (!shortcutsDialog || !shortcutsDialog.hidden) return;
+  shortcutsReturnFocus = document.activeElement;
+  rebinding = null;
+  renderShortcuts();
+  shortcutsDialog.hidden = false;
+  shortcutsDialog.querySelector(".shortcuts-close")?.focus();
+}
+
+function closeShortcuts() {
+  if (!shortcutsDialog || shortcutsDialog.hidden) return;
+  clearTimeout(rebinding?.timer);
+  rebinding = null;
+  shortcutsDialog.hidden = true;
+  shortcutsReturnFocus?.focus?.();
+  shortcutsReturnFocus = null;
+}
+
+function startRebinding(action) {
+  clearTimeout(rebinding?.timer);
+  rebinding = rebinding?.action === action ? null : { action, keys: [], timer: null };
+  renderShortcuts();
+}
+
+// A binding may not be a prefix of another one, or the longer one could never fire.
+function finishRebinding() {
+  const { action, keys } = rebinding;
+  const binding = keys.join(" ");
+  rebinding = null;
+  const clash = Object.keys(keymap).find((other) => other !== action && keymap[other] && (
+    keymap[other].startsWith(`${binding} `) || binding.startsWith(`${keymap[other]} `)
+  ));
+  if (clash) {
+    renderShortcuts(t("shortcuts.overlap", { binding, action: shortcutLabel(clash), other: keymap[clash] }));
+    return;
+  }
+  const taken = Object.keys(keymap).find((other) => other !== action && keymap[other] === binding);
+  let message = t("shortcuts.bound", { action: shortcutLabel(action), binding });
+  if (taken) {
+    keymap[taken] = keymap[action];
+    message += `. ${t("shortcuts.moved", { action: shortcutLabel(taken), binding: keymap[taken] || t("shortcuts.noKey") })}`;
+  }
+  keymap[action] = binding;
+  saveKeymap();
+  renderShortcuts(message);
+}
+
+// While rebinding, a key is recorded and a second one within a second makes a sequence.
+function recordRebindKey(event) {
+  if (event.key === "Escape") {
+    startRebinding(rebinding.action);
+    return;
+  }
+  if (event.key === "Tab" || event.ctrlKey || event.metaKey || event.altKey) return;
+  if (event.key.length > 1 && !event.key.startsWith("Arrow")) return;
+  event.preventDefault();
+  clearTimeout(rebinding.timer);
+  rebinding.keys.push(event.key);
+  if (rebinding.keys.length === 2) {
+    finishRebinding();
+    return;
+  }
+  renderShortcuts();
+  rebinding.timer = setTimeout(finishRebinding, SEQUENCE_TIMEOUT);
+}
+
+function resetKeymap() {
+  keymap = { ...DEFAULT_KEYMAP };
+  saveKeymap();
+  rebinding = null;
+  renderShortcuts(t("shortcuts.resetDone"));
 }
 
 function renderNavigation(state, filterText = "") {
@@ -811,127 +2347,2526 @@ function renderNavigation(state, filterText = "") {
   setActiveNav(state);
 }
 
+function routeKey(state) {
+  return state ? `${state.mode}:${state.sectionId}/${state.file}` : "";
+}
+
 function handleRouteChange() {
+  if (cleanUrls) {
+    const legacy = legacyRoute(window.location.hash);
+    if (legacy) window.history.replaceState(window.history.state, "", routeUrl(legacy));
+  }
   const state = parseStateFromHash();
+  const scrollY = window.history.state?.scrollY;
+  state.scrollY = Number.isFinite(scrollY) ? scrollY : null;
+  runPluginHooks("routechange", state);
+  if (routeKey(state) === routeKey(currentRoute)) {
+    currentRoute = state;
+    if (state.scrollY != null) {
+      window.scrollTo({ top: state.scrollY, behavior: "auto" });
+    } else if (state.heading) {
+      scrollToRequestedHeading(state);
+      focusElement(findHeading(state.heading));
+    } else {
+      window.scrollTo({ top: 0, behavior: scrollBehavior() });
+    }
+    return;
+  }
+  routeFocusPending = currentRoute !== null;
+  currentRoute = state;
   if (hero) {
     hero.classList.toggle("is-hidden", state.mode !== "home");
   }
+  if (state.mode === "home") {
+    renderContinueCard();
+  }
   renderNavigation(state, search.value.trim().toLowerCase());
   loadContent(state);
 }
 
-initTheme();
-initCodeWrap();
-initReadingMode();
-handleRouteChange();
-
-window.addEventListener("hashchange", handleRouteChange);
-
-search.addEventListener("input", (event) => {
-  const value = event.target.value.trim().toLowerCase();
-  renderNavigation(parseStateFromHash(), value);
-});
-
-menuToggle.addEventListener("click", (event) => {
-  event.stopPropagation();
-  const sidebar = document.querySelector(".sidebar");
-  sidebar.classList.toggle("open");
-  if (sidebarOverlay) sidebarOverlay.classList.toggle("open", sidebar.classList.contains("open"));
-});
+function loadReadingProgress() {
+  try {
+    return JSON.parse(localStorage.getItem(PROGRESS_KEY) || "{}") || {};
+  } catch {
+    return {};
+  }
+}
 
-nav.addEventListener("click", (event) => {
-  const link = event.target.closest("a");
-  if (link) closeSidebarOnMobile();
-});
+function saveReadingProgress() {
+  try {
+    localStorage.setItem(PROGRESS_KEY, JSON.stringify(readingProgress));
+  } catch {}
+}
 
-if (sidebarOverlay) {
-  sidebarOverlay.addEventListener("click", () => closeSidebarOnMobile());
+function progressPercent(entry) {
+  if (!entry) return 0;
+  if (entry.completed) return 100;
+  if (!entry.total) return 0;
+  return Math.round(((entry.furthest + 1) / (entry.total + 1)) * 100);
 }
 
-scrollTopBtn.addEventListener("click", () => {
-  window.scrollTo({ top: 0, behavior: "smooth" });
-});
+function progressBadge(path) {
+  const entry = readingProgress[path];
+  if (!entry) return "";
+  if (entry.completed) {
+    const label = escapeHtml(t("progress.completed"));
+    return `<span class="read-badge is-complete" title="${label}" aria-label="${label}"><i class="fa-solid fa-check"></i></span>`;
+  }
+  const label = escapeHtml(t("progress.read", { percent: progressPercent(entry) }));
+  return `<span class="read-badge" title="${label}" aria-label="${label}"><span class="read-badge-bar" style="width: ${progressPercent(entry)}%"></span></span>`;
+}
 
-document.querySelectorAll("[data-open]").forEach((button) => {
-  button.addEventListener("click", () => {
-    window.location.hash = button.dataset.open;
+function refreshProgressBadges() {
+  nav.querySelectorAll("a[data-path]").forEach((link) => {
+    link.querySelector(".read-badge")?.remove();
+    link.querySelector(".update-badge")?.remove();
+    link.insertAdjacentHTML("beforeend", `${updateBadge(link.dataset.path)}${progressBadge(link.dataset.path)}`);
   });
-});
+}
 
-themeToggle.addEventListener("click", () => {
-  const current = document.documentElement.dataset.theme;
-  const next = current === "dark" ? "light" : "dark";
-  setTheme(next);
-});
+function loadQuizResults() {
+  try {
+    return JSON.parse(localStorage.getItem(QUIZ_KEY) || "{}") || {};
+  } catch {
+    return {};
+  }
+}
 
-if (readingToggle) {
-  readingToggle.addEventListener("click", () => {
-    const enabled = document.body.classList.contains("reading-mode");
-    setReadingMode(!enabled);
-  });
+function saveQuizResults() {
+  try {
+    localStorage.setItem(QUIZ_KEY, JSON.stringify(quizResults));
+  } catch {}
 }
 
-// Code wrapping is always on to prevent horizontal overflow.
+function quizScore(path) {
+  const entry = quizResults[path];
+  if (!entry?.total) return null;
+  const answers = Object.values(entry.answers || {});
+  return { total: entry.total, answered: answers.length, correct: answers.filter((answer) => answer.correct).length };
+}
 
-homeBtn.addEventListener("click", () => {
-  window.location.hash = "home";
-});
+function quizBadge(path) {
+  const score = quizScore(path);
+  if (!score || !score.answered) return "";
+  const label = escapeHtml(t("quiz.badge", { correct: score.correct, total: score.total }));
+  return `<span class="quiz-badge${score.correct === score.total ? " is-complete" : ""}" title="${label}" aria-label="${label}">${score.correct}/${score.total}</span>`;
+}
 
-if (content) {
-  content.addEventListener("click", () => closeSidebarOnMobile());
+// Only chapters the reader opened know how many questions they have.
+function quizSummary(section) {
+  const scores = section.files.map((file) => quizScore(`${section.root}/${file}`)).filter((score) => score?.answered);
+  if (!scores.length) return "";
+  const total = scores.reduce((sum, score) => sum + score.total, 0);
+  const correct = scores.reduce((sum, score) => sum + score.correct, 0);
+  const chapters = scores.length === 1 ? t("quiz.oneChapter") : t("quiz.chapters", { count: scores.length });
+  return `<p class="read-summary quiz-summary">${escapeHtml(t("quiz.summary", { correct, total, chapters }))}</p>`;
 }
 
-document.querySelector(".sidebar")?.addEventListener("click", (event) => {
-  event.stopPropagation();
-});
+// Layout and quote style don't change what a line of console output means.
+function normalizeQuizOutput(text) {
+  return text.replace(/"/g, "'").replace(/\s+/g, "");
+}
 
-document.body.classList.remove("loading-ui");
+function normalizeQuizBlank(text) {
+  return text.trim().replace(/^`+|`+$/g, "").replace(/\s+/g, " ");
+}
 
-function clearSearchHighlights() {
-  if (marker) {
-    marker.unmark();
-    return;
+function checkQuizQuestion(form) {
+  const key = quizKeys.get(form) || [];
+  if (form.dataset.quizType === "choice") {
+    const inputs = Array.from(form.querySelectorAll(".quiz-option input"));
+    const value = inputs.filter((input) => input.checked).map((input) => input.value);
+    if (!value.length) return null;
+    return { value, correct: inputs.every((input) => input.checked === key.includes(input.value)) };
   }
-  doc.querySelectorAll("mark[data-search]").forEach((el) => {
+  const inputs = Array.from(form.querySelectorAll(".quiz-input"));
+  const value = inputs.map((input) => input.value);
+  if (value.every((item) => !item.trim())) return null;
+  const normalize = form.dataset.quizType === "output" ? normalizeQuizOutput : normalizeQuizBlank;
+  const correct = inputs.every((input, index) => {
+    return (key[index] || []).some((answer) => normalize(answer) === normalize(input.value));
+  });
+  return { value, correct };
+}
+
+function showQuizResult(form, result) {
+  form.classList.toggle("is-correct", Boolean(result?.correct));
+  form.classList.toggle("is-wrong", Boolean(result && !result.correct));
+  form.querySelectorAll("input, textarea").forEach((input) => {
+    input.disabled = Boolean(result);
+  });
+  const key = quizKeys.get(form) || [];
+  form.querySelectorAll(".quiz-option").forEach((option) => {
+    const input = option.querySelector("input");
+    option.classList.toggle("is-answer", Boolean(result) && key.includes(input.value));
+    option.classList.toggle("is-mistake", Boolean(result) && input.checked && !key.includes(input.value));
+  });
+  const feedback = form.querySelector(".quiz-feedback");
+  if (feedback) feedback.textContent = result ? t(result.correct ? "quiz.correct" : "quiz.wrong") : "";
+  const explanation = form.querySelector(".quiz-explanation");
+  if (explanation) explanation.hidden = !result;
+  form.querySelector("[type='submit']").hidden = Boolean(result);
+  form.querySelector("[data-quiz-action='reset']").hidden = !result;
+}
+
+function restoreQuizAnswer(form, answer) {
+  if (form.dataset.quizType === "choice") {
+    form.querySelectorAll(".quiz-option input").forEach((input) => {
+      input.checked = answer.value.includes(input.value);
+    });
+  } else {
+    form.querySelectorAll(".quiz-input").forEach((input, index) => {
+      input.value = answer.value[index] || "";
+    });
+  }
+  showQuizResult(form, answer);
+}
+
+function updateQuizSummary() {
+  const summary = doc.querySelector(".quiz-score");
+  const score = quizTarget && quizScore(quizTarget);
+  if (!summary || !score) return;
+  const open = score.total - score.answered;
+  if (!score.answered) summary.textContent = score.total === 1 ? t("quiz.countOne") : t("quiz.count", { total: score.total });
+  else summary.textContent = t(open ? "quiz.scoreOpen" : "quiz.score", { correct: score.correct, total: score.total, open });
+}
+
+// Answers are kept per question number; a new version of the chapter may
+// reorder its questions, so its old answers are dropped.
+function enhanceQuizzes(path) {
+  const forms = Array.from(doc.querySelectorAll(".quiz-question"));
+  quizTarget = forms.length ? path : null;
+  if (!forms.length) return;
+  const hash = contentVersions[path]?.hash || null;
+  let entry = quizResults[path];
+  if (!entry || (hash && entry.hash && entry.hash !== hash)) entry = { answers: {} };
+  quizResults[path] = { ...entry, hash, total: forms.length };
+  saveQuizResults();
+  forms.forEach((form) => {
+    const key = form.querySelector(".quiz-key");
+    if (key) {
+      quizKeys.set(form, JSON.parse(key.textContent));
+      key.remove();
+    }
+    const answer = quizResults[path].answers[form.dataset.question];
+    if (answer) restoreQuizAnswer(form, answer);
+  });
+  const quizzes = doc.querySelectorAll(".quiz");
+  const summary = document.createElement("p");
+  summary.className = "quiz-score";
+  summary.setAttribute("role", "status");
+  quizzes[quizzes.length - 1].after(summary);
+  updateQuizSummary();
+}
+
+function submitQuizQuestion(form) {
+  const result = checkQuizQuestion(form);
+  const feedback = form.querySelector(".quiz-feedback");
+  if (!result) {
+    if (feedback) feedback.textContent = t("quiz.empty");
+    return;
+  }
+  showQuizResult(form, result);
+  if (!quizTarget) return;
+  quizResults[quizTarget].answers[form.dataset.question] = { ...result, at: Date.now() };
+  saveQuizResults();
+  updateQuizSummary();
+}
+
+function resetQuizQuestion(form) {
+  form.querySelectorAll(".quiz-option input").forEach((input) => {
+    input.checked = false;
+  });
+  form.querySelectorAll(".quiz-input").forEach((input) => {
+    input.value = "";
+  });
+  showQuizResult(form, null);
+  if (quizTarget) {
+    delete quizResults[quizTarget].answers[form.dataset.question];
+    saveQuizResults();
+    updateQuizSummary();
+  }
+  form.querySelector(".quiz-option input, .quiz-input")?.focus();
+}
+
+// Fetched once per language; the definitions and "See:" links are rendered up
+// front so showing a card only copies them in.
+function loadGlossary() {
+  if (glossaryRequest) return glossaryRequest;
+  glossaryRequest = fetchChapter(GLOSSARY_PATH)
+    .then(async ({ markdown }) => {
+      if (!window.marked) return null;
+      const context = await markdownContext("", GLOSSARY_PATH);
+      const holder = document.createElement("div");
+      const render = (text) => {
+        holder.innerHTML = MarkdownPipeline.renderMarkdown(window.marked, text, context);
+        rewriteDocLinks(holder, GLOSSARY_PATH);
+        return holder;
+      };
+      const entries = MarkdownPipeline.parseGlossary(markdown).entries.map((entry) => {
+        const link = entry.see ? render(entry.see).querySelector("a[href]") : null;
+        const more = link ? { href: link.getAttribute("href"), chapter: link.textContent } : { href: "", chapter: "" };
+        return { ...entry, ...more, html: render(entry.definition).innerHTML };
+      });
+      const names = new Map();
+      entries.forEach((entry) => {
+        [entry.term, ...entry.aliases].forEach((name) => names.set(name.toLowerCase().replace(/\s+/g, " "), entry));
+      });
+      const alternatives = [...names.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map((name) => name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/ /g, "\\s+"));
+      // An "s" on the end still matches, so "microtasks" finds "microtask".
+      const pattern = alternatives.length ? new RegExp(`(?<![\\p{L}\\p{N}_$])(${alternatives.join("|")})s?(?![\\p{L}\\p{N}_$])`, "giu") : null;
+      glossary = { entries, names, pattern };
+      return glossary;
+    })
+    .catch(() => null);
+  return glossaryRequest;
+}
+
+// Links the first mention of each term under every H2 to its glossary card.
+async function linkGlossaryTerms(path) {
+  if (path === GLOSSARY_PATH) return;
+  const first = doc.firstElementChild;
+  const terms = await loadGlossary();
+  if (!terms?.pattern || !first?.isConnected) return;
+  const skip = GLOSSARY_EXCLUDE.join(", ");
+  const walker = document.createTreeWalker(doc, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => {
+      if (node.nodeType === Node.ELEMENT_NODE) return node.tagName === "H2" ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+      return node.parentElement.closest(skip) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+    }
+  });
+  const hits = [];
+  let linked = new Set();
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      linked = new Set();
+      continue;
+    }
+    for (const match of node.data.matchAll(terms.pattern)) {
+      const entry = terms.names.get(match[1].toLowerCase().replace(/\s+/g, " "));
+      if (!entry || linked.has(entry)) continue;
+      linked.add(entry);
+      hits.push({ node, index: match.index, text: match[0], entry });
+    }
+  }
+  // Last match first, so splitting a text node leaves the earlier offsets valid.
+  hits.reverse().forEach(({ node, index, text, entry }) => {
+    const mention = node.splitText(index);
+    mention.splitText(text.length);
+    const link = document.createElement("a");
+    link.className = "glossary-term";
+    link.href = routeUrl(`glossary#${entry.id}`);
+    link.dataset.term = entry.id;
+    link.textContent = text;
+    mention.replaceWith(link);
+  });
+}
+
+function showGlossaryCard(link) {
+  const entry = glossary?.entries.find((item) => item.id === link.dataset.term);
+  if (!entry) return;
+  const more = entry.href
+    ? `<a class="hover-card-more" href="${escapeHtml(entry.href)}">${escapeHtml(t("glossary.more", { chapter: entry.chapter }))}</a>`
+    : "";
+  showHoverCard(link, `<strong class="hover-card-title">${escapeHtml(entry.term)}</strong>${entry.html}${more}`);
+}
+
+// The route an href in the viewer leads to, or null for other pages and sites.
+function routeFromHref(href) {
+  if (!href || href === "#") return null;
+  const url = new URL(href, window.location.href);
+  if (url.origin !== window.location.origin) return null;
+  if (cleanUrls) return url.pathname.startsWith(siteRoot.pathname) ? `${routeFromPath(url.pathname)}${url.hash}` : null;
+  return url.pathname === window.location.pathname && url.search === window.location.search ? url.hash.slice(1) : null;
+}
+
+function previewTarget(trigger) {
+  const heading = trigger.dataset.heading ? `#${encodeURIComponent(trigger.dataset.heading)}` : "";
+  const route = trigger.dataset.hash ? `${trigger.dataset.hash.slice(1)}${heading}` : routeFromHref(trigger.getAttribute("href"));
+  if (route === null) return null;
+  const state = parseRoute(route);
+  if (state.mode === "home") return { path: "README.md", title: t("nav.overview"), heading: state.heading };
+  if (state.mode === "glossary") return { path: GLOSSARY_PATH, title: t("glossary.title"), heading: state.heading };
+  const section = resolveSection(state.sectionId);
+  if (!section || (state.file && !section.files.includes(state.file))) return null;
+  if (!state.file) return { section };
+  return { path: `${section.root}/${state.file}`, title: chapterTitle(section, state.file), heading: state.heading };
+}
+
+// The blocks under `heading`, up to the next heading of the same or a higher level.
+function sectionBlocks(heading) {
+  const level = Number(heading.tagName[1]);
+  const blocks = [];
+  let node = heading.nextElementSibling;
+  while (node && blocks.length < PREVIEW_BLOCKS && !(/^H[1-6]$/.test(node.tagName) && Number(node.tagName[1]) <= level)) {
+    blocks.push(node);
+    node = node.nextElementSibling;
+  }
+  return blocks;
+}
+
+// A chapter preview is its first paragraph; a heading preview is that heading's
+// section, and any other anchor (a footnote, say) shows the block around it.
+async function previewHtml(target) {
+  if (target.section) {
+    return `<strong class="hover-card-title">${escapeHtml(target.section.title)}</strong><p>${escapeHtml(target.section.description)}</p>`;
+  }
+  const article = document.createElement("div");
+  article.innerHTML = await renderedChapter(target.path);
+  assignHeadingIds(article);
+  const anchor = target.heading ? findHeading(target.heading, article) : null;
+  let title = target.title;
+  let blocks;
+  if (anchor && /^H[1-6]$/.test(anchor.tagName)) {
+    title = `${target.title} › ${anchor.textContent.trim()}`;
+    blocks = sectionBlocks(anchor);
+  } else if (anchor) {
+    blocks = [anchor.closest("p, li, blockquote, table") || anchor];
+  } else {
+    blocks = Array.from(article.children).filter((node) => node.tagName === "P" && node.textContent.trim()).slice(0, 1);
+  }
+  const body = document.createElement("div");
+  body.className = "hover-card-body";
+  body.append(...blocks);
+  body.querySelectorAll("form, .quiz").forEach((node) => node.remove());
+  rewriteDocLinks(body, target.path, routeForPath(target.path).slice(1));
+  highlightCode(body);
+  return `<strong class="hover-card-title">${escapeHtml(title)}</strong>${body.outerHTML}`;
+}
+
+async function showLinkPreview(trigger) {
+  const target = previewTarget(trigger);
+  if (!target) return;
+  let html;
+  try {
+    html = await previewHtml(target);
+  } catch {
+    return;
+  }
+  if (trigger === hoverCardTrigger && trigger.isConnected) showHoverCard(trigger, html);
+}
+
+function hoverCardTriggerFor(element) {
+  const trigger = element?.closest?.(HOVER_CARD_TRIGGERS);
+  if (!trigger || trigger.closest(".hover-card") || trigger.classList.contains("disabled")) return null;
+  return trigger;
+}
+
+// Glossary cards open at once; previews wait a moment, since they may have to
+// fetch and render a chapter the reader is only passing over.
+function openHoverCard(trigger, delay = PREVIEW_DELAY) {
+  clearTimeout(hoverCardHideTimer);
+  if (!hoverCard || trigger === hoverCardTrigger) return;
+  hideHoverCard();
+  hoverCardTrigger = trigger;
+  if (trigger.classList.contains("glossary-term")) showGlossaryCard(trigger);
+  else hoverCardShowTimer = setTimeout(() => showLinkPreview(trigger), delay);
+}
+
+function showHoverCard(trigger, html) {
+  hoverCard.innerHTML = html;
+  hoverCard.hidden = false;
+  const body = hoverCard.querySelector(".hover-card-body");
+  body?.classList.toggle("is-clipped", body.scrollHeight > body.clientHeight);
+  trigger.setAttribute("aria-describedby", hoverCard.id);
+  positionHoverCard(trigger);
+}
+
+// Links in the sidebar and the palette get the card beside the panel instead of over it.
+function positionHoverCard(trigger) {
+  const rect = trigger.getBoundingClientRect();
+  const width = hoverCard.offsetWidth;
+  const height = hoverCard.offsetHeight;
+  const panel = trigger.closest(".sidebar, .palette-box")?.getBoundingClientRect();
+  let left;
+  let top;
+  if (panel && panel.right + width + 16 <= window.innerWidth) {
+    left = panel.right + 8;
+    top = Math.max(8, Math.min(rect.top, window.innerHeight - height - 8));
+  } else {
+    left = Math.max(8, Math.min(rect.left, window.innerWidth - width - 8));
+    top = rect.bottom + height + 16 <= window.innerHeight ? rect.bottom + 8 : Math.max(8, rect.top - height - 8);
+  }
+  hoverCard.style.left = `${left + window.scrollX}px`;
+  hoverCard.style.top = `${top + window.scrollY}px`;
+}
+
+function hideHoverCard() {
+  clearTimeout(hoverCardShowTimer);
+  clearTimeout(hoverCardHideTimer);
+  hoverCardTrigger?.removeAttribute("aria-describedby");
+  hoverCardTrigger = null;
+  if (hoverCard) hoverCard.hidden = true;
+}
+
+// The delay lets the pointer cross over to the card and its links.
+function scheduleHoverCardHide() {
+  clearTimeout(hoverCardHideTimer);
+  hoverCardHideTimer = setTimeout(hideHoverCard, 200);
+}
+
+function graphFiles() {
+  return sections.flatMap((section) => section.files.map((file) => {
+    const path = `${section.root}/${file}`;
+    return { path, url: markdownUrl(chapterSource(path)) };
+  }));
+}
+
+// Changes with the language and with any chapter, so a stored graph is never stale.
+function graphSignature(files) {
+  return [locale.code, ...files.map((file) => `${file.path}@${contentVersions[chapterSource(file.path)]?.hash || ""}`)].join("|");
+}
+
+// Worked out once in a worker from every chapter, then kept until a chapter changes.
+function loadLinkGraph() {
+  if (linkGraphRequest) return linkGraphRequest;
+  const files = graphFiles();
+  const signature = graphSignature(files);
+  try {
+    const stored = JSON.parse(localStorage.getItem(GRAPH_KEY) || "null");
+    if (stored?.signature === signature) linkGraph = stored;
+  } catch {}
+  if (linkGraph || !("Worker" in window)) {
+    linkGraphRequest = Promise.resolve(linkGraph);
+    return linkGraphRequest;
+  }
+  linkGraphRequest = new Promise((resolve) => {
+    const worker = new Worker(resolvePath("assets/graph-worker.js"));
+    linkGraphWorker = worker;
+    const finish = (graph) => {
+      worker.terminate();
+      if (linkGraphWorker === worker) linkGraphWorker = null;
+      resolve(graph);
+    };
+    worker.onmessage = (event) => {
+      const data = event.data || {};
+      if (data.type === "progress") updateGraphStatus(t("graph.building", { done: data.done, total: data.total }));
+      if (data.type !== "ready") return;
+      linkGraph = { signature, links: data.links };
+      try {
+        localStorage.setItem(GRAPH_KEY, JSON.stringify(linkGraph));
+      } catch {}
+      finish(linkGraph);
+    };
+    worker.onerror = () => finish(null);
+    worker.postMessage({ type: "build", files, pages: guidePages() });
+  });
+  return linkGraphRequest;
+}
+
+function chapterOf(path) {
+  const section = sections.find((item) => path.startsWith(`${item.root}/`) && item.files.includes(path.slice(item.root.length + 1)));
+  return section ? { section, file: path.slice(section.root.length + 1) } : null;
+}
+
+// "Linked from": the chapters that link to this one and the headings the links sit under.
+async function renderBacklinks(state, path) {
+  if (state.mode !== "section" || !state.file) return;
+  const first = doc.firstElementChild;
+  const graph = await loadLinkGraph();
+  if (!graph || !first?.isConnected) return;
+  const groups = new Map();
+  graph.links.filter((link) => link.to === path).forEach((link) => {
+    if (!groups.has(link.from)) groups.set(link.from, []);
+    groups.get(link.from).push(link);
+  });
+  const items = Array.from(groups, ([from, links]) => {
+    const chapter = chapterOf(from);
+    if (!chapter) return "";
+    const route = routeForPath(from).slice(1);
+    const byHeading = new Map();
+    links.filter((link) => link.anchor).forEach((link) => {
+      if (!byHeading.has(link.anchor)) byHeading.set(link.anchor, { heading: link.heading, targets: new Set() });
+      const target = link.target ? findHeading(link.target) : null;
+      if (target && /^H[1-6]$/.test(target.tagName)) byHeading.get(link.anchor).targets.add(target.textContent.trim());
+    });
+    const headings = Array.from(byHeading, ([anchor, { heading, targets }]) => {
+      const into = targets.size ? ` → ${escapeHtml([...targets].join(", "))}` : "";
+      return `<li><a href="${escapeHtml(routeUrl(`${route}#${encodeURIComponent(anchor)}`))}">${escapeHtml(heading)}</a>${into}</li>`;
+    }).join("");
+    return `
+      <li>
+        <a href="${escapeHtml(routeUrl(route))}">${escapeHtml(chapterTitle(chapter.section, chapter.file))}</a>
+        <span class="chapter-section">${escapeHtml(chapter.section.title)}</span>
+        ${headings ? `<ul class="backlinks-headings">${headings}</ul>` : ""}
+      </li>`;
+  }).join("");
+  doc.querySelector(".backlinks")?.remove();
+  const panel = document.createElement("aside");
+  panel.className = "backlinks";
+  panel.setAttribute("aria-label", t("backlinks.title"));
+  panel.innerHTML = `
+    <div class="backlinks-header">
+      <span class="backlinks-title">${escapeHtml(t("backlinks.title"))}</span>
+      <a class="backlinks-graph" href="${escapeHtml(routeUrl("graph"))}"><i class="fa-solid fa-diagram-project" aria-hidden="true"></i> ${escapeHtml(t("graph.title"))}</a>
+    </div>
+    ${items ? `<ul class="backlinks-list">${items}</ul>` : `<p class="backlinks-empty">${escapeHtml(t("backlinks.none"))}</p>`}
+  `;
+  const docNav = doc.querySelector(":scope > .doc-nav");
+  if (docNav) docNav.after(panel);
+  else doc.appendChild(panel);
+}
+
+function updateGraphStatus(text) {
+  const status = doc.querySelector(".graph-status");
+  if (status) status.textContent = text;
+}
+
+function graphColor(index) {
+  return GRAPH_COLORS[index % GRAPH_COLORS.length];
+}
+
+// Nodes start on a spiral around their section's spot on a circle, so the
+// layout comes out the same on every visit; a few hundred rounds of pushing
+// nodes apart and pulling linked ones together then spread them out.
+function layoutGraph(graph) {
+  const nodes = [];
+  const byPath = new Map();
+  sections.forEach((section, sectionIndex) => {
+    const angle = (sectionIndex / sections.length) * Math.PI * 2;
+    const cx = Math.cos(angle) * 240;
+    const cy = Math.sin(angle) * 240;
+    section.files.forEach((file, index) => {
+      const path = `${section.root}/${file}`;
+      const node = {
+        path,
+        route: routeForPath(path).slice(1),
+        title: chapterTitle(section, file),
+        label: MarkdownPipeline.htmlText(chapterTitle(section, file)),
+        section,
+        color: graphColor(sectionIndex),
+        cx,
+        cy,
+        x: cx + Math.cos(index * 2.4) * 14 * Math.sqrt(index + 1),
+        y: cy + Math.sin(index * 2.4) * 14 * Math.sqrt(index + 1),
+        inbound: 0,
+        neighbors: new Set()
+      };
+      nodes.push(node);
+      byPath.set(path, node);
+    });
+  });
+  const edges = new Map();
+  graph.links.forEach((link) => {
+    const from = byPath.get(link.from);
+    const to = byPath.get(link.to);
+    if (!from || !to) return;
+    const key = `${from.path}\n${to.path}`;
+    if (!edges.has(key)) {
+      edges.set(key, { from, to, count: 0 });
+      to.inbound += 1;
+      from.neighbors.add(to);
+      to.neighbors.add(from);
+    }
+    edges.get(key).count += 1;
+  });
+  for (let step = 0; step < GRAPH_LAYOUT_STEPS; step++) {
+    const limit = 12 * (1 - step / GRAPH_LAYOUT_STEPS) + 0.5;
+    nodes.forEach((node) => {
+      node.dx = (node.cx - node.x) * 0.02;
+      node.dy = (node.cy - node.y) * 0.02;
+    });
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = nodes[i];
+        const b = nodes[j];
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const distance = dx * dx + dy * dy || 0.01;
+        if (distance > 22500) continue;
+        const force = 100 / distance;
+        a.dx += dx * force;
+        a.dy += dy * force;
+        b.dx -= dx * force;
+        b.dy -= dy * force;
+      }
+    }
+    edges.forEach(({ from, to }) => {
+      const dx = (to.x - from.x) * 0.03;
+      const dy = (to.y - from.y) * 0.03;
+      from.dx += dx;
+      from.dy += dy;
+      to.dx -= dx;
+      to.dy -= dy;
+    });
+    nodes.forEach((node) => {
+      const length = Math.hypot(node.dx, node.dy);
+      const scale = length > limit ? limit / length : 1;
+      node.x += node.dx * scale;
+      node.y += node.dy * scale;
+    });
+  }
+  return { nodes, edges: Array.from(edges.values()) };
+}
+
+function graphRadius(node) {
+  return 6 + Math.sqrt(node.neighbors.size) * 2;
+}
+
+function graphNodeVisible(node) {
+  return !graphView.hiddenSections.has(node.section.id) && (!graphView.orphansOnly || !node.inbound);
+}
+
+function graphNodeMatches(node) {
+  return !graphView.filter || node.label.toLowerCase().includes(graphView.filter);
+}
+
+function drawGraph() {
+  if (!graphView) return;
+  const { canvas, context, nodes, edges, hover } = graphView;
+  if (!canvas.isConnected) {
+    graphView = null;
+    return;
+  }
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+  }
+  const styles = getComputedStyle(document.documentElement);
+  const text = styles.getPropertyValue("--text").trim() || "#1f2328";
+  const muted = styles.getPropertyValue("--muted").trim() || "#8b949e";
+  const background = styles.getPropertyValue("--bg-elev").trim() || "#fff";
+  const { scale } = graphView;
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.clearRect(0, 0, width, height);
+  context.translate(graphView.x, graphView.y);
+  context.scale(scale, scale);
+
+  const near = (node) => !hover || node === hover || hover.neighbors.has(node);
+  context.strokeStyle = muted;
+  edges.forEach((edge) => {
+    if (!graphNodeVisible(edge.from) || !graphNodeVisible(edge.to)) return;
+    const lit = hover && (edge.from === hover || edge.to === hover);
+    context.globalAlpha = hover ? (lit ? 0.9 : 0.08) : 0.4;
+    context.lineWidth = (lit ? 2 : 1) * (1 + Math.log(edge.count)) / scale;
+    context.beginPath();
+    context.moveTo(edge.from.x, edge.from.y);
+    context.lineTo(edge.to.x, edge.to.y);
+    context.stroke();
+  });
+
+  context.font = `${12 / scale}px ${styles.getPropertyValue("--font-ui").trim() || "sans-serif"}`;
+  context.textBaseline = "middle";
+  nodes.forEach((node) => {
+    if (!graphNodeVisible(node)) return;
+    const matches = graphNodeMatches(node);
+    context.globalAlpha = matches && near(node) ? 1 : 0.2;
+    const radius = graphRadius(node);
+    context.beginPath();
+    context.arc(node.x, node.y, radius, 0, Math.PI * 2);
+    // Chapters nothing links to are drawn as rings.
+    context.fillStyle = node.inbound ? node.color : background;
+    context.fill();
+    context.strokeStyle = node.color;
+    context.lineWidth = 2 / scale;
+    context.stroke();
+    if (scale >= 1.6 || node === hover || (hover && hover.neighbors.has(node)) || (graphView.filter && matches)) {
+      context.fillStyle = text;
+      context.fillText(node.label, node.x + radius + 4 / scale, node.y);
+    }
+  });
+  context.globalAlpha = 1;
+}
+
+// Zooms by `factor` keeping the point (x, y) of the canvas where it is.
+function zoomGraph(factor, x = graphView.canvas.clientWidth / 2, y = graphView.canvas.clientHeight / 2) {
+  const scale = Math.min(GRAPH_ZOOM_MAX, Math.max(GRAPH_ZOOM_MIN, graphView.scale * factor));
+  graphView.x = x - (x - graphView.x) * (scale / graphView.scale);
+  graphView.y = y - (y - graphView.y) * (scale / graphView.scale);
+  graphView.scale = scale;
+  drawGraph();
+}
+
+function fitGraph() {
+  const visible = graphView.nodes.filter(graphNodeVisible);
+  const width = graphView.canvas.clientWidth;
+  const height = graphView.canvas.clientHeight;
+  if (!visible.length || !width || !height) {
+    drawGraph();
+    return;
+  }
+  const xs = visible.map((node) => node.x);
+  const ys = visible.map((node) => node.y);
+  const left = Math.min(...xs);
+  const top = Math.min(...ys);
+  const spanX = Math.max(...xs) - left + 80;
+  const spanY = Math.max(...ys) - top + 80;
+  graphView.scale = Math.min(GRAPH_ZOOM_MAX, Math.max(GRAPH_ZOOM_MIN, Math.min(width / spanX, height / spanY)));
+  graphView.x = width / 2 - (left + spanX / 2 - 40) * graphView.scale;
+  graphView.y = height / 2 - (top + spanY / 2 - 40) * graphView.scale;
+  drawGraph();
+}
+
+function graphNodeAt(x, y) {
+  const worldX = (x - graphView.x) / graphView.scale;
+  const worldY = (y - graphView.y) / graphView.scale;
+  let found = null;
+  graphView.nodes.forEach((node) => {
+    if (!graphNodeVisible(node)) return;
+    const reach = graphRadius(node) + 4 / graphView.scale;
+    if ((node.x - worldX) ** 2 + (node.y - worldY) ** 2 <= reach * reach) found = node;
+  });
+  return found;
+}
+
+function setGraphHover(node) {
+  if (node === graphView.hover) return;
+  graphView.hover = node;
+  graphView.canvas.style.cursor = node ? "pointer" : "";
+  graphView.canvas.title = node ? node.label : "";
+  drawGraph();
+}
+
+function renderGraphPage(signal) {
+  const legend = sections.map((section, index) => `
+    <label class="graph-legend-item">
+      <input type="checkbox" data-graph-section="${escapeHtml(section.id)}" checked />
+      <span class="graph-swatch" style="background: ${graphColor(index)}"></span>
+      ${escapeHtml(section.title)}
+    </label>`).join("");
+  doc.innerHTML = `
+    <h1>${escapeHtml(t("graph.title"))}</h1>
+    <p>${escapeHtml(t("graph.intro"))}</p>
+    <div class="graph-controls">
+      <input class="graph-filter" type="search" placeholder="${escapeHtml(t("graph.filter"))}" aria-label="${escapeHtml(t("graph.filter"))}" />
+      <label class="graph-legend-item"><input class="graph-orphans" type="checkbox" /> ${escapeHtml(t("graph.orphansOnly"))}</label>
+      <div class="graph-zoom">
+        <button class="pill ghost" type="button" data-graph-zoom="in" aria-label="${escapeHtml(t("graph.zoomIn"))}" title="${escapeHtml(t("graph.zoomIn"))}"><i class="fa-solid fa-plus"></i></button>
+        <button class="pill ghost" type="button" data-graph-zoom="out" aria-label="${escapeHtml(t("graph.zoomOut"))}" title="${escapeHtml(t("graph.zoomOut"))}"><i class="fa-solid fa-minus"></i></button>
+        <button class="pill ghost" type="button" data-graph-zoom="fit" aria-label="${escapeHtml(t("graph.fit"))}" title="${escapeHtml(t("graph.fit"))}"><i class="fa-solid fa-expand"></i></button>
+      </div>
+    </div>
+    <div class="graph-legend">${legend}</div>
+    <div class="graph-stage">
+      <canvas class="graph-canvas" tabindex="0" role="img" aria-label="${escapeHtml(t("graph.label"))}"></canvas>
+      <div class="graph-status" role="status"></div>
+    </div>
+    <p class="graph-stats"></p>
+    <h2>${escapeHtml(t("graph.orphans"))}</h2>
+    <ul class="chapter-list graph-orphans-list"></ul>
+  `;
+  buildToc();
+  enhanceHeadings();
+  graphView = null;
+  const canvas = doc.querySelector(".graph-canvas");
+  const context = canvas.getContext?.("2d");
+  if (!context) {
+    updateGraphStatus(t("graph.unavailable"));
+    return;
+  }
+  loadLinkGraph().then((graph) => {
+    if (signal.aborted || !canvas.isConnected) return;
+    if (!graph) {
+      updateGraphStatus(t("graph.unavailable"));
+      return;
+    }
+    if (!graph.layout) graph.layout = layoutGraph(graph);
+    updateGraphStatus("");
+    graphView = {
+      ...graph.layout,
+      canvas,
+      context,
+      scale: 1,
+      x: 0,
+      y: 0,
+      hover: null,
+      filter: "",
+      orphansOnly: false,
+      hiddenSections: new Set()
+    };
+    const orphans = graphView.nodes.filter((node) => !node.inbound);
+    doc.querySelector(".graph-stats").textContent = t("graph.stats", {
+      chapters: graphView.nodes.length,
+      links: graphView.edges.length,
+      orphans: orphans.length
+    });
+    doc.querySelector(".graph-orphans-list").innerHTML = orphans.length
+      ? orphans.map((node) => `<li><a href="${escapeHtml(routeUrl(node.route))}">${escapeHtml(node.title)}</a><span class="chapter-section">${escapeHtml(node.section.title)}</span></li>`).join("")
+      : `<li>${escapeHtml(t("graph.noOrphans"))}</li>`;
+    fitGraph();
+  });
+}
+
+function loadSeenVersions() {
+  try {
+    return JSON.parse(localStorage.getItem(SEEN_KEY) || "{}") || {};
+  } catch {
+    return {};
+  }
+}
+
+function saveSeenVersions() {
+  try {
+    localStorage.setItem(SEEN_KEY, JSON.stringify(seenVersions));
+  } catch {}
+}
+
+function formatDay(day) {
+  const date = new Date(`${day}T00:00:00`);
+  return Number.isNaN(date.getTime()) ? day : date.toLocaleDateString(locale.code, { year: "numeric", month: "short", day: "numeric" });
+}
+
+// Updated means changed since the reader last opened it; chapters never opened don't count.
+// Visits from before versions were recorded fall back to the reading progress date.
+function chapterUpdated(path) {
+  const version = contentVersions[path];
+  if (!version) return false;
+  const seen = seenVersions[path];
+  if (seen) return seen.hash !== version.hash;
+  const visited = readingProgress[path]?.updatedAt;
+  return Boolean(visited) && version.updated > new Date(visited).toISOString().slice(0, 10);
+}
+
+// Badges follow the file the reader sees: the translation when there is one.
+function updateBadge(path) {
+  const source = chapterSource(path);
+  if (!chapterUpdated(source)) return "";
+  const label = escapeHtml(t("update.badgeTitle", { date: formatDay(contentVersions[source].updated) }));
+  return `<span class="update-badge" title="${label}" aria-label="${label}">${escapeHtml(t("update.badge"))}</span>`;
+}
+
+function headingChanges(before, after) {
+  const was = new Set(before);
+  const now = new Set(after);
+  return {
+    added: after.filter((title) => !was.has(title)),
+    removed: before.filter((title) => !now.has(title))
+  };
+}
+
+function renderChangeNotice(path, changes) {
+  const routeHash = currentRouteHash();
+  let details = "";
+  if (changes) {
+    const items = [
+      ...changes.added.map((title) => `<li class="is-added"><a href="${escapeHtml(routeUrl(`${routeHash}#${encodeURIComponent(title)}`))}">${escapeHtml(title)}</a></li>`),
+      ...changes.removed.map((title) => `<li class="is-removed">${escapeHtml(title)}</li>`)
+    ];
+    details = items.length
+      ? `<details class="update-notice-changes"><summary>${escapeHtml(t("update.changes"))}</summary><ul>${items.join("")}</ul></details>`
+      : `<p>${escapeHtml(t("update.noChanges"))}</p>`;
+  }
+  const notice = document.createElement("aside");
+  notice.className = "update-notice";
+  notice.setAttribute("role", "note");
+  notice.innerHTML = `
+    <div class="update-notice-header">
+      <strong>${escapeHtml(t("update.notice"))}</strong>
+      <span>${escapeHtml(formatDay(contentVersions[path].updated))}</span>
+      <button type="button" class="update-notice-dismiss" aria-label="${escapeHtml(t("common.dismiss"))}">
+        <i class="fa-solid fa-xmark"></i>
+      </button>
+    </div>
+    ${details}
+  `;
+  const title = doc.querySelector(":scope > h1");
+  if (title) title.after(notice);
+  else doc.prepend(notice);
+}
+
+// Remembers which version of a chapter the reader saw, and which headings it had,
+// so the next visit after an update can say what changed.
+function recordChapterVersion(state, path) {
+  const version = contentVersions[path];
+  if (state.mode !== "section" || !state.file || !version) return;
+  const headings = Array.from(doc.querySelectorAll("h2, h3")).map((heading) => heading.textContent.trim());
+  const seen = seenVersions[path];
+  const updated = chapterUpdated(path);
+  if (updated) renderChangeNotice(path, seen ? headingChanges(seen.headings || [], headings) : null);
+  seenVersions[path] = { hash: version.hash, headings };
+  saveSeenVersions();
+  if (updated) refreshProgressBadges();
+}
+
+function trackChapter(state, path) {
+  if (state.mode !== "section" || !state.file) return;
+  const headings = Array.from(doc.querySelectorAll("h2, h3"));
+  const entry = readingProgress[path] || { furthest: -1, completed: false };
+  readingProgress[path] = { ...entry, total: headings.length, updatedAt: Date.now() };
+  saveReadingProgress();
+  progressTarget = { path, headings };
+  if (pendingResume === path) {
+    pendingResume = null;
+    requestAnimationFrame(() => restoreReadingPosition(path));
+  }
+}
+
+function recordReadingPosition() {
+  if (!progressTarget) return;
+  const { path, headings } = progressTarget;
+  const entry = readingProgress[path];
+  if (!entry) return;
+  let index = -1;
+  for (let i = 0; i < headings.length; i++) {
+    if (headings[i].getBoundingClientRect().top >= 140) break;
+    index = i;
+  }
+  const current = headings[index];
+  const wasComplete = entry.completed;
+  entry.furthest = Math.max(entry.furthest, index);
+  entry.heading = current ? current.id : null;
+  entry.headingText = current ? current.textContent.trim() : "";
+  entry.offset = current ? Math.round(-current.getBoundingClientRect().top) : 0;
+  entry.scrollY = Math.round(window.scrollY);
+  entry.updatedAt = Date.now();
+  if (!entry.completed && window.scrollY > 0 && doc.getBoundingClientRect().bottom - window.innerHeight < 80) {
+    entry.completed = true;
+  }
+  clearTimeout(progressSaveTimer);
+  progressSaveTimer = setTimeout(flushReadingProgress, 500);
+  if (entry.completed !== wasComplete) refreshProgressBadges();
+}
+
+function flushReadingProgress() {
+  if (!progressSaveTimer) return;
+  clearTimeout(progressSaveTimer);
+  progressSaveTimer = null;
+  saveReadingProgress();
+  refreshProgressBadges();
+}
+
+function restoreReadingPosition(path) {
+  const entry = readingProgress[path];
+  if (!entry) return;
+  const heading = entry.heading ? document.getElementById(entry.heading) : null;
+  const top = heading
+    ? heading.getBoundingClientRect().top + window.scrollY + (entry.offset || 0)
+    : entry.scrollY || 0;
+  window.scrollTo({ top, behavior: "auto" });
+}
+
+function lastReadChapter() {
+  let latest = null;
+  sections.forEach((section) => {
+    section.files.forEach((file, index) => {
+      const path = `${section.root}/${file}`;
+      const entry = readingProgress[path];
+      if (entry && (!latest || entry.updatedAt > latest.entry.updatedAt)) {
+        latest = { section, file, index, path, entry };
+      }
+    });
+  });
+  return latest;
+}
+
+function renderContinueCard() {
+  if (!continueCard) return;
+  const last = lastReadChapter();
+  if (!last) {
+    continueCard.hidden = true;
+    return;
+  }
+  let { section, file, path, entry } = last;
+  let label = t("continue.reading");
+  let resume = path;
+  const nextFile = section.files[last.index + 1];
+  if (entry.completed && nextFile) {
+    label = t("continue.next");
+    file = nextFile;
+    resume = null;
+  }
+  const headingText = resume ? entry.headingText : "";
+  continueCard.href = routeUrl(`${section.id}/${encodeURIComponent(file)}`);
+  continueCard.dataset.resume = resume || "";
+  continueCard.querySelector(".continue-label").textContent = label;
+  continueCard.querySelector(".continue-title").textContent = chapterTitle(section, file);
+  continueCard.querySelector(".continue-meta").textContent = resume
+    ? `${section.title} · ${t("progress.read", { percent: progressPercent(entry) })}${headingText ? ` · ${headingText}` : ""}`
+    : section.title;
+  continueCard.querySelector(".read-progress-bar span").style.width = `${resume ? progressPercent(entry) : 0}%`;
+  continueCard.hidden = false;
+}
+
+function openAnnotationDb() {
+  if (!annotationDb) {
+    annotationDb = new Promise((resolve, reject) => {
+      const request = indexedDB.open(ANNOTATION_DB, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(ANNOTATION_STORE, { keyPath: "id" });
+        store.createIndex("path", "path");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return annotationDb;
+}
+
+async function annotationTransaction(mode, run) {
+  const db = await openAnnotationDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ANNOTATION_STORE, mode);
+    const request = run(tx.objectStore(ANNOTATION_STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function loadAnnotations() {
+  if (!window.indexedDB) return;
+  try {
+    annotations = ((await annotationTransaction("readonly", (store) => store.getAll())) || []).map(cleanAnnotation).filter(Boolean);
+  } catch {
+    annotations = [];
+  }
+  renderAnnotationsPanel();
+  if (annotationTarget) renderAnnotations(annotationTarget.state, annotationTarget.path);
+}
+
+async function saveAnnotation(annotation) {
+  annotation.updatedAt = Date.now();
+  annotations = annotations.filter((item) => item.id !== annotation.id).concat(annotation);
+  renderAnnotationsPanel();
+  try {
+    await annotationTransaction("readwrite", (store) => store.put(annotation));
+  } catch {}
+}
+
+async function deleteAnnotation(id) {
+  annotations = annotations.filter((item) => item.id !== id);
+  renderAnnotationsPanel();
+  doc.querySelectorAll(`mark.note-highlight[data-note-id="${CSS.escape(id)}"]`).forEach((mark) => {
+    mark.replaceWith(...mark.childNodes);
+  });
+  try {
+    await annotationTransaction("readwrite", (store) => store.delete(id));
+  } catch {}
+}
+
+// An annotation with only the fields the app writes, or null when one has the wrong type.
+// Imported files and old stored entries pass through here before anything renders them.
+function cleanAnnotation(item) {
+  if (!item || typeof item !== "object") return null;
+  if (typeof item.id !== "string" || !ANNOTATION_ID.test(item.id)) return null;
+  if (typeof item.path !== "string" || !item.path || (item.type !== "bookmark" && item.type !== "note")) return null;
+  const text = (value) => value == null || typeof value === "string";
+  if (![item.chapter, item.section, item.headingId, item.headingText, item.note].every(text)) return null;
+  const quote = item.quote;
+  if (item.type === "note") {
+    if (!quote || typeof quote !== "object" || typeof quote.exact !== "string" || !quote.exact) return null;
+    if (typeof quote.prefix !== "string" || typeof quote.suffix !== "string") return null;
+  } else if (quote != null) {
+    return null;
+  }
+  const time = (value) => (Number.isFinite(value) ? value : 0);
+  return {
+    id: item.id,
+    type: item.type,
+    path: item.path,
+    chapter: item.chapter || "",
+    section: item.section || "",
+    headingId: item.headingId || null,
+    headingText: item.headingText || "",
+    quote: quote ? { exact: quote.exact, prefix: quote.prefix, suffix: quote.suffix } : null,
+    note: item.note || "",
+    createdAt: time(item.createdAt),
+    updatedAt: time(item.updatedAt)
+  };
+}
+
+function createAnnotationId() {
+  return window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function collectDocText() {
+  const walker = document.createTreeWalker(doc, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => node.parentElement?.closest("pre, button, .code-runner, .doc-nav")
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT
+  });
+  const nodes = [];
+  let text = "";
+  while (walker.nextNode()) {
+    nodes.push({ node: walker.currentNode, start: text.length });
+    text += walker.currentNode.nodeValue;
+  }
+  return { text, nodes };
+}
+
+function textOffset(index, container, offset) {
+  if (container.nodeType === Node.TEXT_NODE) {
+    const entry = index.nodes.find((item) => item.node === container);
+    return entry ? entry.start + offset : -1;
+  }
+  const boundary = container.childNodes[offset] || null;
+  const entry = index.nodes.find((item) => {
+    if (!boundary) return container.compareDocumentPosition(item.node) & Node.DOCUMENT_POSITION_FOLLOWING && !container.contains(item.node);
+    return boundary === item.node || boundary.contains(item.node) || (boundary.compareDocumentPosition(item.node) & Node.DOCUMENT_POSITION_FOLLOWING);
+  });
+  return entry ? entry.start : index.text.length;
+}
+
+function commonLength(a, b, fromEnd) {
+  let length = 0;
+  while (length < a.length && length < b.length) {
+    const x = fromEnd ? a[a.length - 1 - length] : a[length];
+    const y = fromEnd ? b[b.length - 1 - length] : b[length];
+    if (x !== y) break;
+    length += 1;
+  }
+  return length;
+}
+
+function locateQuote(index, quote) {
+  let best = null;
+  let position = index.text.indexOf(quote.exact);
+  while (position !== -1) {
+    const before = index.text.slice(Math.max(0, position - quote.prefix.length), position);
+    const after = index.text.slice(position + quote.exact.length, position + quote.exact.length + quote.suffix.length);
+    const score = commonLength(quote.prefix, before, true) + commonLength(quote.suffix, after, false);
+    if (!best || score > best.score) best = { start: position, end: position + quote.exact.length, score };
+    position = index.text.indexOf(quote.exact, position + 1);
+  }
+  return best;
+}
+
+function wrapTextRange(index, start, end, annotation) {
+  index.nodes.forEach(({ node, start: nodeStart }) => {
+    const nodeEnd = nodeStart + node.nodeValue.length;
+    if (nodeEnd <= start || nodeStart >= end || !node.nodeValue.trim()) return;
+    let target = node;
+    const from = Math.max(start, nodeStart) - nodeStart;
+    const to = Math.min(end, nodeEnd) - nodeStart;
+    if (to < target.nodeValue.length) target.splitText(to);
+    if (from > 0) target = target.splitText(from);
+    const mark = document.createElement("mark");
+    mark.className = "note-highlight";
+    mark.dataset.noteId = annotation.id;
+    mark.tabIndex = 0;
+    mark.title = annotation.note || t("notes.note");
+    target.replaceWith(mark);
+    mark.appendChild(target);
+  });
+}
+
+function headingBefore(node) {
+  let found = null;
+  doc.querySelectorAll("h2, h3").forEach((heading) => {
+    if (heading.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING) found = heading;
+  });
+  return found;
+}
+
+function renderAnnotations(state, path) {
+  if (state.mode !== "section" || !state.file) {
+    annotationTarget = null;
+    return;
+  }
+  annotationTarget = { state, path };
+  const section = resolveSection(state.sectionId);
+  doc.querySelectorAll("h2, h3").forEach((heading) => {
+    if (heading.querySelector(".heading-bookmark")) return;
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "heading-bookmark";
+    button.innerHTML = `<i class="fa-solid fa-bookmark" aria-hidden="true"></i>`;
+    button.addEventListener("click", () => toggleBookmark(heading, section, path));
+    heading.prepend(button);
+  });
+  updateBookmarkButtons(path);
+
+  annotations
+    .filter((item) => item.path === path && item.type === "note" && item.quote)
+    .forEach((annotation) => {
+      // One note that no longer fits the page must not stop the rest of the chapter from rendering.
+      try {
+        if (doc.querySelector(`mark.note-highlight[data-note-id="${CSS.escape(annotation.id)}"]`)) return;
+        const index = collectDocText();
+        const match = locateQuote(index, annotation.quote);
+        annotation.orphaned = !match;
+        if (match) wrapTextRange(index, match.start, match.end, annotation);
+      } catch {
+        annotation.orphaned = true;
+      }
+    });
+
+  if (pendingNoteFocus) {
+    const mark = doc.querySelector(`mark.note-highlight[data-note-id="${CSS.escape(pendingNoteFocus)}"]`);
+    pendingNoteFocus = null;
+    if (mark) {
+      mark.scrollIntoView({ behavior: scrollBehavior(), block: "center" });
+      mark.classList.add("is-flash");
+      setTimeout(() => mark.classList.remove("is-flash"), 1600);
+    }
+  }
+}
+
+function findBookmark(path, heading) {
+  return annotations.find((item) => {
+    if (item.type !== "bookmark" || item.path !== path) return false;
+    return (findHeading(item.headingId) || findHeading(item.headingText)) === heading;
+  });
+}
+
+function updateBookmarkButtons(path) {
+  doc.querySelectorAll(".heading-bookmark").forEach((button) => {
+    const active = Boolean(findBookmark(path, button.parentElement));
+    button.classList.toggle("is-active", active);
+    button.setAttribute("aria-pressed", active ? "true" : "false");
+    button.setAttribute("aria-label", t(active ? "bookmark.remove" : "bookmark.add"));
+  });
+}
+
+async function toggleBookmark(heading, section, path) {
+  const existing = findBookmark(path, heading);
+  if (existing) {
+    await deleteAnnotation(existing.id);
+  } else {
+    await saveAnnotation({
+      id: createAnnotationId(),
+      type: "bookmark",
+      path,
+      chapter: chapterTitle(section, path.slice(section.root.length + 1)),
+      section: section.title,
+      headingId: heading.id,
+      headingText: heading.textContent.trim(),
+      quote: null,
+      note: "",
+      createdAt: Date.now()
+    });
+  }
+  updateBookmarkButtons(path);
+}
+
+function selectionQuote() {
+  const selection = window.getSelection();
+  if (!annotationTarget || !selection || selection.isCollapsed || !selection.rangeCount) return null;
+  const range = selection.getRangeAt(0);
+  if (!doc.contains(range.commonAncestorContainer)) return null;
+  const index = collectDocText();
+  const start = textOffset(index, range.startContainer, range.startOffset);
+  const end = textOffset(index, range.endContainer, range.endOffset);
+  if (start < 0 || end <= start) return null;
+  const exact = index.text.slice(start, end);
+  if (!exact.trim()) return null;
+  return {
+    range,
+    quote: {
+      exact,
+      prefix: index.text.slice(Math.max(0, start - NOTE_CONTEXT), start),
+      suffix: index.text.slice(end, end + NOTE_CONTEXT)
+    }
+  };
+}
+
+function updateNoteSelectionButton() {
+  if (!noteSelectionBtn) return;
+  const selected = selectionQuote();
+  if (!selected) {
+    noteSelectionBtn.hidden = true;
+    return;
+  }
+  const rect = selected.range.getBoundingClientRect();
+  noteSelectionBtn.style.top = `${rect.top + window.scrollY - 44}px`;
+  noteSelectionBtn.style.left = `${Math.max(12, rect.left + window.scrollX + rect.width / 2 - 50)}px`;
+  noteSelectionBtn.hidden = false;
+}
+
+function openNoteEditor(annotation) {
+  if (!noteEditor) return;
+  editingNote = annotation;
+  noteEditor.querySelector(".note-editor-quote").textContent = annotation.quote?.exact || "";
+  noteEditor.querySelector(".note-editor-heading").textContent = annotation.headingText || annotation.chapter;
+  noteEditor.querySelector("[data-note-action='delete']").hidden = !annotations.some((item) => item.id === annotation.id);
+  noteEditorText.value = annotation.note || "";
+  noteEditor.hidden = false;
+  noteEditorText.focus();
+}
+
+function closeNoteEditor() {
+  if (!noteEditor) return;
+  noteEditor.hidden = true;
+  editingNote = null;
+}
+
+function noteFromSelection() {
+  const selected = selectionQuote();
+  if (!selected) return;
+  const { state, path } = annotationTarget;
+  const section = resolveSection(state.sectionId);
+  const heading = headingBefore(selected.range.startContainer);
+  openNoteEditor({
+    id: createAnnotationId(),
+    type: "note",
+    path,
+    chapter: chapterTitle(section, state.file),
+    section: section.title,
+    headingId: heading ? heading.id : null,
+    headingText: heading ? heading.textContent.trim() : "",
+    quote: selected.quote,
+    note: "",
+    createdAt: Date.now()
+  });
+  noteSelectionBtn.hidden = true;
+}
+
+async function saveEditingNote() {
+  if (!editingNote) return;
+  const annotation = { ...editingNote, note: noteEditorText.value.trim() };
+  const isNew = !annotations.some((item) => item.id === annotation.id);
+  closeNoteEditor();
+  await saveAnnotation(annotation);
+  const marks = doc.querySelectorAll(`mark.note-highlight[data-note-id="${CSS.escape(annotation.id)}"]`);
+  marks.forEach((mark) => {
+    mark.title = annotation.note || t("notes.note");
+  });
+  if (isNew && annotationTarget?.path === annotation.path) {
+    window.getSelection()?.removeAllRanges();
+    renderAnnotations(annotationTarget.state, annotationTarget.path);
+  }
+}
+
+function renderAnnotationsPanel() {
+  if (!annotationsList) return;
+  annotationsCount.textContent = String(annotations.length);
+  if (!annotations.length) {
+    annotationsList.innerHTML = `<p class="annotations-empty">${escapeHtml(t("annotations.empty"))}</p>`;
+    return;
+  }
+  const groups = new Map();
+  annotations
+    .slice()
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .forEach((item) => {
+      if (!groups.has(item.path)) groups.set(item.path, []);
+      groups.get(item.path).push(item);
+    });
+  annotationsList.innerHTML = Array.from(groups.entries())
+    .map(([path, items]) => {
+      const route = routeForPath(path);
+      const rows = items
+        .map((item) => {
+          const href = routeUrl(route ? `${route}${item.headingId ? `#${encodeURIComponent(item.headingId)}` : ""}` : "home");
+          const icon = item.type === "bookmark" ? "fa-bookmark" : "fa-note-sticky";
+          const quote = item.quote ? `<q>${escapeHtml(item.quote.exact.slice(0, 140))}</q>` : "";
+          const note = item.note ? `<p>${escapeHtml(item.note)}</p>` : "";
+          const orphaned = item.orphaned ? `<em class="annotation-orphaned">${escapeHtml(t("annotations.orphaned"))}</em>` : "";
+          return `
+            <li class="annotation-item">
+              <a href="${escapeHtml(href)}" data-note-id="${item.type === "note" ? escapeHtml(item.id) : ""}">
+                <i class="fa-solid ${icon}" aria-hidden="true"></i>
+                <span>${escapeHtml(item.headingText || item.chapter)}</span>
+              </a>
+              ${quote}${note}${orphaned}
+              <button type="button" class="annotation-delete" data-delete-note="${escapeHtml(item.id)}" aria-label="${escapeHtml(t("common.delete"))}">
+                <i class="fa-solid fa-xmark" aria-hidden="true"></i>
+              </button>
+            </li>
+          `;
+        })
+        .join("");
+      return `<div class="annotation-group"><div class="annotation-chapter">${escapeHtml(items[0].chapter)} · ${escapeHtml(items[0].section)}</div><ul>${rows}</ul></div>`;
+    })
+    .join("");
+}
+
+function exportAnnotations() {
+  const payload = { version: 1, exportedAt: new Date().toISOString(), annotations: annotations.map(({ orphaned, ...item }) => item) };
+  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `js-guide-notes-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+async function importAnnotations(file) {
+  let incoming = [];
+  try {
+    const payload = JSON.parse(await file.text());
+    incoming = Array.isArray(payload) ? payload : payload.annotations || [];
+  } catch {
+    window.alert(t("annotations.importError"));
+    return;
+  }
+  const valid = (Array.isArray(incoming) ? incoming : []).map(cleanAnnotation).filter(Boolean);
+  const merged = valid.filter((item) => {
+    const current = annotations.find((existing) => existing.id === item.id);
+    return !current || (item.updatedAt || 0) > (current.updatedAt || 0);
+  });
+  annotations = annotations.filter((item) => !merged.some((next) => next.id === item.id)).concat(merged);
+  try {
+    await annotationTransaction("readwrite", (store) => {
+      merged.forEach((item) => store.put(item));
+    });
+  } catch {}
+  renderAnnotationsPanel();
+  if (annotationTarget) renderAnnotations(annotationTarget.state, annotationTarget.path);
+}
+
+// The files behind every chapter in the reader's language.
+function chapterPaths() {
+  return sections.flatMap((section) => section.files.map((file) => chapterSource(`${section.root}/${file}`)));
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ["KB", "MB", "GB", "TB"];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+function setOfflineMeter(done, total) {
+  if (offlineMeter) offlineMeter.style.width = `${total ? Math.round((done / total) * 100) : 0}%`;
+}
+
+async function updateOfflineStatus(notice = "") {
+  if (!offlineStatus) return;
+  const paths = chapterPaths();
+  const cache = await caches.open(CONTENT_CACHE);
+  const current = new Set(paths.map(markdownUrl));
+  const files = new Set(paths.map(resolvePath));
+  const keys = await cache.keys();
+  // Chapters that changed since they were saved count as missing until downloaded
+  // again; other languages' copies stay.
+  await Promise.all(keys
+    .filter((request) => {
+      const url = new URL(request.url);
+      if (!url.searchParams.has("v") || current.has(request.url)) return false;
+      url.search = "";
+      return files.has(url.toString());
+    })
+    .map((request) => cache.delete(request)));
+  const cached = new Set(keys.map((request) => request.url));
+  const count = paths.filter((path) => cached.has(markdownUrl(path))).length;
+  let usage = "";
+  if (navigator.storage?.estimate) {
+    try {
+      const estimate = await navigator.storage.estimate();
+      usage = t("offline.usage", { used: formatBytes(estimate.usage || 0), quota: formatBytes(estimate.quota || 0) });
+    } catch {}
+  }
+  setOfflineMeter(count, paths.length);
+  const summary = count === paths.length
+    ? t("offline.all", { total: paths.length })
+    : t("offline.some", { count, total: paths.length });
+  offlineStatus.textContent = [notice, summary, usage].filter(Boolean).join(" · ");
+}
+
+async function downloadGuide() {
+  if (!offlineDownload || offlineDownload.disabled) return;
+  offlineDownload.disabled = true;
+  if (navigator.storage?.persist) {
+    navigator.storage.persist().catch(() => {});
+  }
+  const cache = await caches.open(CONTENT_CACHE);
+  const queue = chapterPaths();
+  const total = queue.length;
+  let done = 0;
+  let failed = 0;
+  const next = async () => {
+    while (queue.length) {
+      const url = markdownUrl(queue.shift());
+      try {
+        if (!(await cache.match(url))) {
+          await cache.add(url);
+        }
+      } catch {
+        failed += 1;
+      }
+      done += 1;
+      setOfflineMeter(done, total);
+      offlineStatus.textContent = t("offline.downloading", { done, total });
+    }
+  };
+  await Promise.all(Array.from({ length: OFFLINE_CONCURRENCY }, next));
+  offlineDownload.disabled = false;
+  await updateOfflineStatus(failed ? t("offline.failed", { count: failed }) : "");
+}
+
+function initOffline() {
+  if (!offlinePanel || !("serviceWorker" in navigator) || !window.caches || window.location.protocol === "file:") return;
+  navigator.serviceWorker.register(resolvePath("sw.js")).catch(() => {});
+  offlinePanel.hidden = false;
+  offlineDownload.addEventListener("click", downloadGuide);
+  updateOfflineStatus().catch(() => {});
+}
+
+function exportChapters(scope, state = parseStateFromHash()) {
+  const section = state.mode === "section" ? resolveSection(state.sectionId) : null;
+  const entry = (file) => ({ section, path: `${section.root}/${file}`, title: chapterTitle(section, file) });
+  if (scope === "section") return section ? section.files.map(entry) : [];
+  if (!section) return [{ section: null, path: "README.md", title: t("nav.overview") }];
+  return state.file ? [entry(state.file)] : [];
+}
+
+function updateExportMenu() {
+  if (!exportMenu) return;
+  const state = parseStateFromHash();
+  ["chapter", "section"].forEach((scope) => {
+    const available = exportChapters(scope, state).length > 0;
+    exportMenu.querySelectorAll(`[data-export="${scope}"], [data-export-group="${scope}"]`).forEach((node) => {
+      node.hidden = !available;
+    });
+  });
+}
+
+function toggleExportMenu(open = exportMenu.hidden) {
+  if (open) updateExportMenu();
+  exportMenu.hidden = !open;
+  exportToggle.setAttribute("aria-expanded", String(open));
+}
+
+// A chapter's pipeline HTML from renderCache, rendering and caching it first if needed.
+async function renderedChapter(path) {
+  const cached = renderCache.get(chapterSource(path));
+  if (cached) return cached;
+  const { source, markdown } = await fetchChapter(path);
+  const html = await parseMarkdown(markdown, path);
+  renderCache.set(source, html);
+  return html;
+}
+
+// An exported file cannot check answers, so each question loses its inputs and
+// lists the answers and the explanation in a block after it instead.
+function exportQuizzes(container) {
+  container.querySelectorAll(".quiz-question").forEach((form) => {
+    const keyNode = form.querySelector(".quiz-key");
+    const key = keyNode ? JSON.parse(keyNode.textContent) : [];
+    let answers = "";
+    if (form.dataset.quizType === "choice") {
+      const options = Array.from(form.querySelectorAll(".quiz-option"));
+      const correct = options.filter((option) => key.includes(option.querySelector("input").value));
+      form.querySelector(".quiz-options").outerHTML = `<ul class="quiz-options">${options.map((option) => `<li>${option.querySelector("span").innerHTML}</li>`).join("")}</ul>`;
+      answers = `<ul>${correct.map((option) => `<li>${option.querySelector("span").innerHTML}</li>`).join("")}</ul>`;
+    } else if (form.dataset.quizType === "output") {
+      form.querySelector(".quiz-input")?.remove();
+      answers = `<pre><code>${escapeHtml(key[0]?.[0] || "")}</code></pre>`;
+    } else {
+      form.querySelectorAll(".quiz-blank").forEach((input) => {
+        const holder = input.parentElement;
+        input.outerHTML = "<span class=\"quiz-blank\">______</span>";
+        if (holder.tagName === "P" && holder.parentElement === form) holder.remove();
+      });
+      answers = `<ol>${key.map((accepted) => `<li><code>${escapeHtml(accepted.join(" / "))}</code></li>`).join("")}</ol>`;
+    }
+    const explanation = form.querySelector(".quiz-explanation");
+    const details = document.createElement("details");
+    details.className = "quiz-answers";
+    details.innerHTML = `<summary>${escapeHtml(t("export.answers"))}</summary>${answers}${explanation ? explanation.innerHTML : ""}`;
+    const question = document.createElement("div");
+    question.className = "quiz-question";
+    form.querySelectorAll(".quiz-key, .quiz-actions, .quiz-explanation").forEach((node) => node.remove());
+    question.append(...form.childNodes, details);
+    form.replaceWith(question);
+  });
+}
+
+async function renderExportChapter(chapter) {
+  const article = document.createElement("article");
+  article.className = "export-chapter";
+  article.innerHTML = await renderedChapter(chapter.path);
+  highlightCode(article);
+  enhanceCodeBlocks(article, false);
+  assignHeadingIds(article);
+  exportQuizzes(article);
+  article.querySelectorAll("details").forEach((details) => {
+    details.open = true;
+  });
+  return article;
+}
+
+function rewriteExportLinks(chapters) {
+  const byPath = new Map(chapters.map((chapter) => [chapter.path, chapter]));
+  const anchorHref = (chapter, anchor) => {
+    const heading = findHeading(anchor, chapter.article);
+    return heading?.id ? `#${chapter.prefix}-${heading.id}` : `#${chapter.prefix}`;
+  };
+  chapters.forEach((chapter) => {
+    const base = new URL(chapter.path, "https://guide.invalid/");
+    chapter.article.querySelectorAll("a[href], img[src]").forEach((node) => {
+      const attribute = node.tagName === "IMG" ? "src" : "href";
+      const value = node.getAttribute(attribute);
+      if (!value || /^[a-z][a-z0-9+.-]*:/i.test(value) || value.startsWith("//")) return;
+      if (value.startsWith("#")) {
+        node.setAttribute(attribute, anchorHref(chapter, decodeURIComponent(value.slice(1))));
+        return;
+      }
+      const target = new URL(value, base);
+      const path = decodeURIComponent(target.pathname.slice(1));
+      if (attribute === "href" && byPath.has(path)) {
+        node.setAttribute(attribute, anchorHref(byPath.get(path), decodeURIComponent(target.hash.slice(1))));
+        return;
+      }
+      const route = attribute === "href" && /\.md$/i.test(path) ? routeForPath(path) : null;
+      node.setAttribute(attribute, resolvePath(route ? routeUrl(`${route}${target.hash}`) : `${path}${target.search}${target.hash}`));
+    });
+  });
+}
+
+function exportToc(chapters) {
+  const links = (chapter, selector) => Array.from(chapter.article.querySelectorAll(selector))
+    .map((heading) => `<li class="toc-${heading.tagName.toLowerCase()}"><a href="#${heading.id}">${escapeHtml(heading.textContent.trim())}</a></li>`)
+    .join("");
+  if (chapters.length === 1) return `<ul>${links(chapters[0], "h2, h3")}</ul>`;
+  const items = chapters
+    .map((chapter) => `<li><a href="#${chapter.prefix}">${escapeHtml(chapter.title)}</a><ul>${links(chapter, "h2")}</ul></li>`)
+    .join("");
+  return `<ol>${items}</ol>`;
+}
+
+async function exportStyles() {
+  const sheets = await Promise.all(EXPORT_STYLESHEETS.map(async (path) => {
+    const response = await fetch(resolvePath(path));
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.text();
+  }));
+  return sheets.join("\n");
+}
+
+async function buildExportDocument(scope) {
+  const chapters = exportChapters(scope);
+  if (!chapters.length) return null;
+  const { section } = chapters[0];
+  const title = scope === "section" ? section.title : chapters[0].title;
+  const [styles, articles] = await Promise.all([exportStyles(), Promise.all(chapters.map(renderExportChapter))]);
+  chapters.forEach((chapter, index) => {
+    chapter.article = articles[index];
+    chapter.prefix = `chapter-${index + 1}`;
+  });
+  rewriteExportLinks(chapters);
+  chapters.forEach((chapter, index) => {
+    chapter.article.querySelectorAll("[id]").forEach((node) => {
+      node.id = `${chapter.prefix}-${node.id}`;
+    });
+    chapter.article.id = chapter.prefix;
+    if (scope === "section") {
+      chapter.article.insertAdjacentHTML("afterbegin", `
+        <header class="export-title-page">
+          <p class="export-eyebrow">${escapeHtml(t("export.chapterNumber", { number: index + 1 }))}</p>
+          <h1>${escapeHtml(chapter.title)}</h1>
+          <p class="export-meta">${escapeHtml(section.title)}</p>
+        </header>
+      `);
+    }
+  });
+
+  const siteTitle = escapeHtml(t("site.title"));
+  const count = chapters.length === 1 ? t("export.oneChapter") : t("export.chapters", { count: chapters.length });
+  const html = `<!doctype html>
+<html lang="${escapeHtml(locale.code)}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(title)} · ${siteTitle}</title>
+  <style>
+${styles}
+  </style>
+</head>
+<body class="export-${scope}">
+  <header class="export-cover">
+    <p class="export-eyebrow">${siteTitle}${section && scope === "chapter" ? ` · ${escapeHtml(section.title)}` : ""}</p>
+    <h1>${escapeHtml(title)}</h1>
+    ${scope === "section" && section.description ? `<p class="export-lede">${escapeHtml(section.description)}</p>` : ""}
+    <p class="export-meta">${escapeHtml(count)} · ${escapeHtml(t("export.exported", { date: new Date().toLocaleDateString(locale.code) }))}</p>
+  </header>
+  <nav class="export-toc">
+    <h2>${escapeHtml(t("export.contents"))}</h2>
+    ${exportToc(chapters)}
+  </nav>
+  ${chapters.map((chapter) => chapter.article.outerHTML).join("\n")}
+</body>
+</html>
+`;
+  return { html, title };
+}
+
+function downloadExport(html, title) {
+  const name = title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "guide";
+  const blob = new Blob([html], { type: "text/html" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `js-guide-${name}.html`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+function printExport(html) {
+  const frame = document.createElement("iframe");
+  frame.className = "export-frame";
+  frame.setAttribute("aria-hidden", "true");
+  frame.tabIndex = -1;
+  frame.addEventListener("load", () => {
+    const view = frame.contentWindow;
+    view.addEventListener("afterprint", () => frame.remove());
+    view.focus();
+    view.print();
+  });
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
+
+async function exportDocument(scope, format) {
+  if (document.body.classList.contains("is-exporting")) return;
+  document.body.classList.add("is-busy", "is-exporting");
+  try {
+    const result = await buildExportDocument(scope);
+    if (!result) return;
+    if (format === "print") {
+      printExport(result.html);
+    } else {
+      downloadExport(result.html, result.title);
+    }
+  } catch (error) {
+    window.alert(t("export.failed", { error: error?.message || error }));
+  } finally {
+    document.body.classList.remove("is-busy", "is-exporting");
+  }
+}
+
+function showManifestError(error) {
+  document.body.classList.remove("is-busy");
+  doc.classList.remove("is-loading", "fade-in");
+  doc.innerHTML = `
+    <h2>${escapeHtml(t("load.error"))}</h2>
+    <p>${t("load.manifest", { path: `<strong>${MANIFEST_PATH}</strong>` })} ${escapeHtml(error?.message || "")}</p>
+    <pre><code>node scripts/build-manifest.js --check</code></pre>
+  `;
+}
+
+initTheme();
+initCodeWrap();
+initReadingMode();
+if ("scrollRestoration" in window.history) window.history.scrollRestoration = "manual";
+loadManifest()
+  .then(() => {
+    restoreRedirectedRoute();
+    handleRouteChange();
+    window.addEventListener(cleanUrls ? "popstate" : "hashchange", handleRouteChange);
+    initOffline();
+    loadAnnotations();
+  })
+  .catch(showManifestError);
+
+search.addEventListener("input", (event) => {
+  const value = event.target.value.trim().toLowerCase();
+  renderNavigation(parseStateFromHash(), value);
+});
+
+menuToggle.addEventListener("click", (event) => {
+  event.stopPropagation();
+  const sidebar = document.querySelector(".sidebar");
+  sidebar.classList.toggle("open");
+  if (sidebarOverlay) sidebarOverlay.classList.toggle("open", sidebar.classList.contains("open"));
+});
+
+nav.addEventListener("click", (event) => {
+  const link = event.target.closest("a");
+  if (link) closeSidebarOnMobile();
+});
+
+if (sidebarOverlay) {
+  sidebarOverlay.addEventListener("click", () => closeSidebarOnMobile());
+}
+
+// #doc is not a route, so the skip link moves focus itself instead of changing the hash.
+if (skipLink) {
+  skipLink.addEventListener("click", (event) => {
+    event.preventDefault();
+    const target = doc.querySelector("h1") || doc;
+    target.scrollIntoView({ block: "start" });
+    focusElement(target);
+  });
+}
+
+scrollTopBtn.addEventListener("click", () => {
+  window.scrollTo({ top: 0, behavior: scrollBehavior() });
+});
+
+if (exportToggle && exportMenu) {
+  exportToggle.addEventListener("click", () => toggleExportMenu());
+  exportMenu.addEventListener("click", (event) => {
+    const item = event.target.closest("[data-export]");
+    if (!item) return;
+    toggleExportMenu(false);
+    exportDocument(item.dataset.export, item.dataset.format);
+  });
+  document.addEventListener("click", (event) => {
+    if (!exportMenu.hidden && !event.target.closest(".export-wrap")) toggleExportMenu(false);
+  });
+  document.addEventListener("keydown", (event) => {
+    if (event.key === "Escape" && !exportMenu.hidden) {
+      toggleExportMenu(false);
+      exportToggle.focus();
+    }
+  });
+}
+
+if (localeSelect) {
+  localeSelect.addEventListener("change", () => switchLocale(localeSelect.value));
+}
+
+if (continueCard) {
+  continueCard.addEventListener("click", () => {
+    pendingResume = continueCard.dataset.resume || null;
+  });
+}
+
+let selectionTimer;
+document.addEventListener("selectionchange", () => {
+  clearTimeout(selectionTimer);
+  selectionTimer = setTimeout(updateNoteSelectionButton, 200);
+});
+
+if (noteSelectionBtn) {
+  noteSelectionBtn.addEventListener("mousedown", (event) => event.preventDefault());
+  noteSelectionBtn.addEventListener("click", noteFromSelection);
+}
+
+if (noteEditor) {
+  noteEditor.addEventListener("click", (event) => {
+    const action = event.target.closest("[data-note-action]")?.dataset.noteAction;
+    if (action === "save") saveEditingNote();
+    if (action === "cancel") closeNoteEditor();
+    if (action === "delete" && editingNote) {
+      deleteAnnotation(editingNote.id);
+      closeNoteEditor();
+    }
+  });
+  noteEditor.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") closeNoteEditor();
+    if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) saveEditingNote();
+  });
+}
+
+doc.addEventListener("click", (event) => {
+  const mark = event.target.closest("mark.note-highlight");
+  if (!mark || !window.getSelection()?.isCollapsed) return;
+  const annotation = annotations.find((item) => item.id === mark.dataset.noteId);
+  if (annotation) openNoteEditor(annotation);
+});
+
+doc.addEventListener("keydown", (event) => {
+  const mark = event.target.closest?.("mark.note-highlight");
+  if (!mark || event.key !== "Enter") return;
+  const annotation = annotations.find((item) => item.id === mark.dataset.noteId);
+  if (annotation) openNoteEditor(annotation);
+});
+
+if (annotationsList) {
+  annotationsList.addEventListener("click", (event) => {
+    const remove = event.target.closest("[data-delete-note]");
+    if (remove) {
+      deleteAnnotation(remove.dataset.deleteNote).then(() => {
+        if (annotationTarget) updateBookmarkButtons(annotationTarget.path);
+      });
+      return;
+    }
+    const link = event.target.closest("a[data-note-id]");
+    if (!link) return;
+    closeSidebarOnMobile();
+    if (!link.dataset.noteId) return;
+    pendingNoteFocus = link.dataset.noteId;
+    if (isCurrentUrl(link.href) && annotationTarget) {
+      event.preventDefault();
+      renderAnnotations(annotationTarget.state, annotationTarget.path);
+    }
+  });
+}
+
+if (annotationsExport) {
+  annotationsExport.addEventListener("click", exportAnnotations);
+}
+
+if (annotationsImport) {
+  annotationsImport.addEventListener("change", () => {
+    const [file] = annotationsImport.files || [];
+    if (file) importAnnotations(file);
+    annotationsImport.value = "";
+  });
+}
+
+let progressTicking = false;
+window.addEventListener("scroll", () => {
+  if (!progressTarget || progressTicking) return;
+  progressTicking = true;
+  requestAnimationFrame(() => {
+    progressTicking = false;
+    recordReadingPosition();
+  });
+}, { passive: true });
+
+window.addEventListener("scroll", scheduleScrollSave, { passive: true });
+
+// With clean URLs every in-guide link is a path, so keep those clicks in the page.
+// Capture phase, because the sidebar stops clicks from bubbling.
+document.addEventListener("click", (event) => {
+  if (!cleanUrls || event.defaultPrevented || event.button !== 0) return;
+  if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+  const link = event.target.closest("a[href]");
+  if (!link || link.target || link.hasAttribute("download")) return;
+  const url = new URL(link.href);
+  if (url.origin !== window.location.origin || !url.pathname.startsWith(siteRoot.pathname)) return;
+  if (link.getAttribute("href").startsWith("#")) return;
+  if (/\.[a-z0-9]+$/i.test(url.pathname) && !url.pathname.endsWith("/index.html")) return;
+  const route = routeFromPath(url.pathname);
+  if (route !== "home" && !resolveSection(route.split("/")[0])) return;
+  event.preventDefault();
+  navigateTo(url.hash ? `${route}${url.hash}` : route);
+}, true);
+
+window.addEventListener("pagehide", flushReadingProgress);
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") flushReadingProgress();
+});
+
+document.querySelectorAll("[data-open]").forEach((button) => {
+  button.addEventListener("click", () => {
+    navigateTo(button.dataset.open);
+  });
+});
+
+themeToggle.addEventListener("click", () => {
+  const current = document.documentElement.dataset.theme;
+  const next = DARK_THEMES.includes(current) ? "light" : "dark";
+  setTheme(next);
+});
+
+darkScheme.addEventListener("change", () => {
+  if (themeChoice === "auto") setTheme("auto");
+});
+
+reducedMotion.addEventListener("change", () => {
+  applyMotion();
+  updateAppearancePanel();
+});
+
+if (appearanceToggle && appearancePanel) {
+  appearanceToggle.addEventListener("click", () => toggleAppearancePanel());
+  appearancePanel.addEventListener("change", (event) => {
+    if (event.target.name === "theme") setTheme(event.target.value);
+    if (event.target.name === "reduceMotion") {
+      appearance.reduceMotion = event.target.checked;
+      applyAppearance();
+      saveAppearance();
+    }
+  });
+  appearancePanel.addEventListener("input", (event) => {
+    const { name, value } = event.target;
+    if (name === "accent") {
+      appearance.accent = value.toLowerCase();
+    } else if (name in APPEARANCE_SETTINGS) {
+      appearance[name] = Number(value);
+    } else {
+      return;
+    }
+    applyAppearance();
+    saveAppearance();
+  });
+  appearancePanel.addEventListener("reset", (event) => {
+    event.preventDefault();
+    appearance = defaultAppearance();
+    saveAppearance();
+    applyAppearance();
+    setTheme("auto");
+  });
+  appearancePanel.addEventListener("submit", (event) => event.preventDefault());
+  document.addEventListener("click", (event) => {
+    if (!appearancePanel.hidden && !event.target.closest(".appearance-wrap")) toggleAppearancePanel(false);
+  });
+  document.addEventListener("keydown", (event) => {
+    if (event.key === "Escape" && !appearancePanel.hidden) {
+      toggleAppearancePanel(false);
+      appearanceToggle.focus();
+    }
+  });
+}
+
+if (readingToggle) {
+  readingToggle.addEventListener("click", () => {
+    const enabled = document.body.classList.contains("reading-mode");
+    setReadingMode(!enabled);
+  });
+}
+
+// Code wrapping is always on to prevent horizontal overflow.
+
+homeBtn.addEventListener("click", () => {
+  navigateTo("home");
+});
+
+if (content) {
+  content.addEventListener("click", () => closeSidebarOnMobile());
+}
+
+document.querySelector(".sidebar")?.addEventListener("click", (event) => {
+  event.stopPropagation();
+});
+
+document.body.classList.remove("loading-ui");
+
+function clearSearchHighlights() {
+  if (marker) {
+    marker.unmark();
+    return;
+  }
+  doc.querySelectorAll("mark[data-search]").forEach((el) => {
     const text = document.createTextNode(el.textContent || "");
     el.replaceWith(text);
   });
 }
 
-function applySearch(query) {
+function findPattern(query) {
+  const source = findOptions.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  // Identifiers may contain $, so it counts as a word character here.
+  const bounded = findOptions.wholeWord ? `(?<![\\w$])(?:${source})(?![\\w$])` : source;
+  return new RegExp(bounded, findOptions.caseSensitive ? "g" : "gi");
+}
+
+// The same text mark.js walks, so match offsets line up with its ranges.
+function findText() {
+  const skip = FIND_EXCLUDE.join(", ");
+  const walker = document.createTreeWalker(doc, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => (node.parentElement?.closest(skip) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+  });
+  let text = "";
+  while (walker.nextNode()) text += walker.currentNode.nodeValue;
+  return text;
+}
+
+function findRanges(pattern) {
+  const text = findText();
+  const ranges = [];
+  let match;
+  while (ranges.length < FIND_MATCH_LIMIT && (match = pattern.exec(text))) {
+    if (!match[0]) {
+      pattern.lastIndex += 1;
+      continue;
+    }
+    ranges.push({ start: match.index, length: match[0].length });
+  }
+  return ranges;
+}
+
+function updateFindCount(message) {
+  if (!findCount) return;
+  const total = findMatches.length;
+  findCount.textContent = message || (!currentSearchQuery
+    ? ""
+    : total
+      ? t("find.count", { current: findCurrent + 1, total: `${total}${total >= FIND_MATCH_LIMIT ? "+" : ""}` })
+      : t("find.none"));
+  findCount.hidden = !findCount.textContent;
+  findControls?.querySelectorAll("[data-find-step]").forEach((button) => {
+    button.disabled = total < 2;
+  });
+}
+
+function setFindCurrent(index, reveal = false) {
+  doc.querySelectorAll("mark.is-current").forEach((mark) => mark.classList.remove("is-current"));
+  if (!findMatches.length) {
+    findCurrent = -1;
+    updateFindCount();
+    return;
+  }
+  findCurrent = (index + findMatches.length) % findMatches.length;
+  const marks = findMatches[findCurrent];
+  marks.forEach((mark) => mark.classList.add("is-current"));
+  if (reveal) {
+    for (let details = marks[0].closest("details"); details; details = details.parentElement?.closest("details")) {
+      details.open = true;
+    }
+    marks[0].scrollIntoView({ block: "center", behavior: scrollBehavior() });
+  }
+  updateFindCount();
+}
+
+function stepFind(delta) {
+  if (!findMatches.length) return;
+  setFindCurrent(findCurrent + delta, true);
+}
+
+// `reveal` jumps to the first match below the top of the viewport; otherwise
+// the current match keeps its position, e.g. when code is re-highlighted.
+function applySearch(query, reveal = false) {
+  const previous = findCurrent;
   clearSearchHighlights();
-  if (!query) return;
+  findMatches = [];
+  findCurrent = -1;
+  docSearch?.classList.remove("is-invalid");
+  if (!query || !marker) {
+    updateFindCount();
+    return;
+  }
 
-  if (marker) {
-    marker.mark(query, { separateWordSearch: false });
+  let pattern;
+  try {
+    pattern = findPattern(query);
+  } catch {
+    docSearch?.classList.add("is-invalid");
+    updateFindCount(t("find.invalid"));
+    return;
+  }
+  const groups = new Map();
+  marker.markRanges(findRanges(pattern), {
+    exclude: FIND_EXCLUDE.flatMap((selector) => [selector, `${selector} *`]),
+    each(mark, range) {
+      mark.dataset.search = "";
+      if (!groups.has(range)) groups.set(range, []);
+      groups.get(range).push(mark);
+    }
+  });
+  findMatches = Array.from(groups.values());
+  if (!reveal) {
+    setFindCurrent(Math.min(Math.max(previous, 0), findMatches.length - 1));
     return;
   }
+  const below = findMatches.findIndex((marks) => marks[0].getBoundingClientRect().top >= 0);
+  setFindCurrent(Math.max(below, 0), true);
+}
+
+function setFindOption(name, enabled) {
+  findOptions[name] = enabled;
+  findControls?.querySelector(`[data-find-option="${name}"]`)?.setAttribute("aria-pressed", String(enabled));
+  localStorage.setItem(FIND_OPTIONS_KEY, JSON.stringify(findOptions));
+}
+
+function initFindOptions() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(FIND_OPTIONS_KEY) || "{}") || {};
+  } catch {
+    stored = {};
+  }
+  Object.keys(findOptions).forEach((name) => setFindOption(name, stored[name] === true));
 }
 
 if (docSearch) {
-  let searchTimer;
+  let searchTimer = null;
+  const runSearch = () => {
+    clearTimeout(searchTimer);
+    searchTimer = null;
+    applySearch(currentSearchQuery, true);
+  };
   docSearch.addEventListener("input", () => {
-    currentSearchQuery = docSearch.value.trim().toLowerCase();
+    currentSearchQuery = docSearch.value.trim();
     clearTimeout(searchTimer);
-    searchTimer = setTimeout(() => {
-      applySearch(currentSearchQuery);
-    }, 350);
+    searchTimer = setTimeout(runSearch, 350);
+  });
+  docSearch.addEventListener("keydown", (event) => {
+    if (event.key !== "Enter") return;
+    event.preventDefault();
+    if (searchTimer) {
+      runSearch();
+    } else {
+      stepFind(event.shiftKey ? -1 : 1);
+    }
+  });
+  findControls?.addEventListener("click", (event) => {
+    const button = event.target.closest("button");
+    if (!button) return;
+    if (button.dataset.findStep) {
+      stepFind(Number(button.dataset.findStep));
+      return;
+    }
+    const name = button.dataset.findOption;
+    setFindOption(name, !findOptions[name]);
+    runSearch();
+  });
+  initFindOptions();
+}
+
+doc.addEventListener("click", async (event) => {
+  const button = event.target.closest("[data-code-tool]");
+  if (!button) return;
+  const wrapper = button.closest(".code-block");
+  const tool = button.dataset.codeTool;
+  if (tool !== "copy") {
+    setCodeTool(wrapper, tool, button.getAttribute("aria-pressed") !== "true");
+    return;
+  }
+  await copyText(wrapper.querySelector("pre > code").textContent.replace(/\n$/, ""));
+  button.classList.add("copied");
+  button.setAttribute("aria-label", t("code.copied"));
+  setTimeout(() => {
+    button.classList.remove("copied");
+    button.setAttribute("aria-label", t("code.copy"));
+  }, 1200);
+});
+
+doc.addEventListener("click", (event) => {
+  const button = event.target.closest("[data-code-action]");
+  if (!button) return;
+  const runner = button.closest(".code-runner");
+  if (button.dataset.codeAction === "run") runCodeBlock(runner);
+  if (button.dataset.codeAction === "reset") resetCodeBlock(runner);
+});
+
+doc.addEventListener("click", (event) => {
+  if (event.target.closest(".update-notice-dismiss")) event.target.closest(".update-notice").remove();
+  const reset = event.target.closest("[data-quiz-action='reset']");
+  if (reset) resetQuizQuestion(reset.closest(".quiz-question"));
+});
+
+["mouseover", "focusin"].forEach((type) => {
+  document.addEventListener(type, (event) => {
+    const trigger = hoverCardTriggerFor(event.target);
+    if (trigger) openHoverCard(trigger);
   });
+});
+
+["mouseout", "focusout"].forEach((type) => {
+  document.addEventListener(type, (event) => {
+    const trigger = hoverCardTriggerFor(event.target);
+    if (trigger && trigger === hoverCardTrigger && !trigger.contains(event.relatedTarget)) scheduleHoverCardHide();
+  });
+});
+
+// Touch has no hover: holding a link opens its card instead of following it.
+document.addEventListener("touchstart", (event) => {
+  const trigger = hoverCardTriggerFor(event.target);
+  clearTimeout(longPressTimer);
+  longPressed = null;
+  if (!trigger) return;
+  longPressTimer = setTimeout(() => {
+    longPressed = trigger;
+    openHoverCard(trigger, 0);
+  }, LONG_PRESS);
+}, { passive: true });
+
+["touchmove", "touchend", "touchcancel"].forEach((type) => {
+  document.addEventListener(type, () => clearTimeout(longPressTimer), { passive: true });
+});
+
+document.addEventListener("click", (event) => {
+  if (longPressed?.contains(event.target)) {
+    event.preventDefault();
+    event.stopPropagation();
+  }
+  longPressed = null;
+}, true);
+
+document.addEventListener("contextmenu", (event) => {
+  if (longPressed?.contains(event.target)) event.preventDefault();
+});
+
+document.addEventListener("pointerdown", (event) => {
+  if (hoverCard?.hidden || hoverCard?.contains(event.target) || hoverCardTrigger?.contains(event.target)) return;
+  hideHoverCard();
+});
+
+if (hoverCard) {
+  hoverCard.addEventListener("mouseenter", () => clearTimeout(hoverCardHideTimer));
+  hoverCard.addEventListener("mouseleave", scheduleHoverCardHide);
 }
 
+doc.addEventListener("submit", (event) => {
+  const form = event.target.closest(".quiz-question");
+  if (!form) return;
+  event.preventDefault();
+  submitQuizQuestion(form);
+});
+
+doc.addEventListener("input", (event) => {
+  const block = event.target.closest?.("pre > code");
+  if (!block || !originalCode.has(block)) return;
+  const reset = block.parentElement.nextElementSibling?.querySelector("[data-code-action='reset']");
+  if (reset) reset.hidden = block.textContent === originalCode.get(block);
+});
+
+doc.addEventListener("keydown", (event) => {
+  const block = event.target.closest?.("pre > code");
+  if (!block || !originalCode.has(block)) return;
+  if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+    event.preventDefault();
+    runCodeBlock(block.parentElement.nextElementSibling);
+  } else if (event.key === "Tab" && !event.shiftKey) {
+    event.preventDefault();
+    document.execCommand("insertText", false, "  ");
+  } else if (event.key === "Enter" && block.contentEditable === "true") {
+    event.preventDefault();
+    document.execCommand("insertText", false, "\n");
+  }
+});
+
+doc.addEventListener("paste", (event) => {
+  const block = event.target.closest?.("pre > code");
+  if (!block || !originalCode.has(block)) return;
+  event.preventDefault();
+  document.execCommand("insertText", false, event.clipboardData?.getData("text/plain") || "");
+});
+
+doc.addEventListener("focusout", (event) => {
+  const block = event.target.closest?.("pre > code");
+  if (!block || !originalCode.has(block) || block.textContent === originalCode.get(block)) return;
+  rehighlightBlock(block);
+});
+
+// Pointer state for the graph canvas: where a drag started, and every finger down for pinch zoom.
+const graphPointers = new Map();
+let graphDrag = null;
+
+doc.addEventListener("input", (event) => {
+  if (!graphView) return;
+  if (event.target.matches(".graph-filter")) {
+    graphView.filter = event.target.value.trim().toLowerCase();
+    drawGraph();
+  }
+});
+
+doc.addEventListener("change", (event) => {
+  if (!graphView) return;
+  const section = event.target.dataset?.graphSection;
+  if (section) {
+    if (event.target.checked) graphView.hiddenSections.delete(section);
+    else graphView.hiddenSections.add(section);
+    fitGraph();
+  }
+  if (event.target.matches(".graph-orphans")) {
+    graphView.orphansOnly = event.target.checked;
+    fitGraph();
+  }
+});
+
+doc.addEventListener("click", (event) => {
+  const button = event.target.closest("[data-graph-zoom]");
+  if (!button || !graphView) return;
+  if (button.dataset.graphZoom === "fit") fitGraph();
+  else zoomGraph(button.dataset.graphZoom === "in" ? 1.25 : 0.8);
+});
+
+doc.addEventListener("wheel", (event) => {
+  if (!graphView || event.target !== graphView.canvas) return;
+  event.preventDefault();
+  zoomGraph(Math.exp(-event.deltaY * 0.0015), event.offsetX, event.offsetY);
+}, { passive: false });
+
+doc.addEventListener("pointerdown", (event) => {
+  if (!graphView || event.target !== graphView.canvas) return;
+  graphView.canvas.setPointerCapture?.(event.pointerId);
+  graphPointers.set(event.pointerId, { x: event.offsetX, y: event.offsetY });
+  graphDrag = { x: event.offsetX, y: event.offsetY, moved: graphPointers.size > 1 };
+});
+
+doc.addEventListener("pointermove", (event) => {
+  if (!graphView || event.target !== graphView.canvas) return;
+  const point = { x: event.offsetX, y: event.offsetY };
+  const previous = graphPointers.get(event.pointerId);
+  if (!previous) {
+    setGraphHover(graphNodeAt(point.x, point.y));
+    return;
+  }
+  if (graphPointers.size === 2) {
+    const other = Array.from(graphPointers).find(([id]) => id !== event.pointerId)[1];
+    const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+    const after = Math.hypot(point.x - other.x, point.y - other.y);
+    graphPointers.set(event.pointerId, point);
+    if (before) zoomGraph(after / before, (point.x + other.x) / 2, (point.y + other.y) / 2);
+    return;
+  }
+  graphPointers.set(event.pointerId, point);
+  if (Math.hypot(point.x - graphDrag.x, point.y - graphDrag.y) > 4) graphDrag.moved = true;
+  if (!graphDrag.moved) return;
+  graphView.x += point.x - previous.x;
+  graphView.y += point.y - previous.y;
+  drawGraph();
+});
+
+const endGraphPointer = (event) => {
+  if (!graphPointers.delete(event.pointerId) || !graphView) return;
+  if (event.type === "pointerup" && graphDrag && !graphDrag.moved) {
+    const node = graphNodeAt(event.offsetX, event.offsetY);
+    if (node) navigateTo(node.route);
+  }
+  if (!graphPointers.size) graphDrag = null;
+};
+doc.addEventListener("pointerup", endGraphPointer);
+doc.addEventListener("pointercancel", endGraphPointer);
+
+doc.addEventListener("pointerleave", (event) => {
+  if (graphView && event.target === graphView.canvas) setGraphHover(null);
+}, true);
+
+doc.addEventListener("keydown", (event) => {
+  if (!graphView || event.target !== graphView.canvas) return;
+  const pan = { ArrowLeft: [40, 0], ArrowRight: [-40, 0], ArrowUp: [0, 40], ArrowDown: [0, -40] }[event.key];
+  if (pan) {
+    graphView.x += pan[0];
+    graphView.y += pan[1];
+    drawGraph();
+  } else if (event.key === "+" || event.key === "=") {
+    zoomGraph(1.25);
+  } else if (event.key === "-") {
+    zoomGraph(0.8);
+  } else if (event.key === "0") {
+    fitGraph();
+  } else {
+    return;
+  }
+  event.preventDefault();
+  event.stopPropagation();
+});
+
+window.addEventListener("resize", () => drawGraph());
+
+window.addEventListener("message", (event) => {
+  const run = sandboxRuns.get(event.source);
+  const data = event.data || {};
+  if (!run || data.source !== "js-guide-sandbox") return;
+  if (data.type === "ready") {
+    event.source.postMessage({ type: "run", id: run.id, code: run.code }, "*");
+    return;
+  }
+  if (data.id !== run.id) return;
+  if (data.type === "done") {
+    run.done = true;
+    run.output.classList.remove("is-running");
+    settleRun(run);
+    return;
+  }
+  appendRunOutput(run.output, data.type, data.text);
+  if (run.done) settleRun(run);
+});
+
 if (toc) {
   toc.addEventListener("click", (event) => {
+    const toggle = event.target.closest(".toc-toggle");
+    if (toggle) {
+      const group = toggle.closest(".toc-group");
+      tocGroupOverrides.set(group.dataset.group, !group.classList.contains("is-open"));
+      updateTocGroups();
+      return;
+    }
     const link = event.target.closest(".toc-link");
     if (!link) return;
-    event.preventDefault();
-    const targetId = link.dataset.target;
-    if (!targetId) return;
-    const target = document.getElementById(targetId);
-    if (target) {
-      updateHeadingParam(targetId);
-      target.scrollIntoView({ behavior: "smooth", block: "start" });
+    toggleTocDrawer(false);
+    // Re-clicking the current anchor changes no URL, so scroll by hand.
+    const plainClick = !event.ctrlKey && !event.metaKey && !event.shiftKey;
+    if (plainClick && isCurrentUrl(link.href)) {
+      event.preventDefault();
+      const target = document.getElementById(link.dataset.target);
+      target?.scrollIntoView({ behavior: scrollBehavior(), block: "start" });
+      focusElement(target);
     }
   });
+  toc.addEventListener("input", (event) => {
+    if (event.target.classList.contains("toc-filter")) filterToc(event.target.value);
+  });
+}
+
+if (tocToggle) {
+  tocToggle.addEventListener("click", () => toggleTocDrawer());
+}
+
+if (tocOverlay) {
+  tocOverlay.addEventListener("click", () => toggleTocDrawer(false));
 }
 
 if (paletteInput) {
@@ -945,8 +4880,7 @@ if (paletteInput) {
     if (event.key === "Enter") {
       const active = paletteResults?.querySelector(".palette-item.active");
       if (active) {
-        window.location.hash = active.dataset.hash;
-        closePalette();
+        openPaletteItem(active);
       }
     }
     if (event.key === "ArrowDown" || event.key === "ArrowUp") {
@@ -956,10 +4890,10 @@ if (paletteInput) {
       let idx = items.indexOf(current);
       if (event.key === "ArrowDown") idx = Math.min(items.length - 1, idx + 1);
       if (event.key === "ArrowUp") idx = Math.max(0, idx - 1);
-      items.forEach((item) => item.classList.remove("active"));
+      setPaletteActive(items[idx]);
       if (items[idx]) {
-        items[idx].classList.add("active");
         items[idx].scrollIntoView({ block: "nearest" });
+        openHoverCard(items[idx]);
       }
     }
   });
@@ -969,8 +4903,7 @@ if (paletteResults) {
   paletteResults.addEventListener("click", (event) => {
     const item = event.target.closest(".palette-item");
     if (!item) return;
-    window.location.hash = item.dataset.hash;
-    closePalette();
+    openPaletteItem(item);
   });
 }
 
@@ -978,8 +4911,38 @@ if (palette) {
   palette.addEventListener("click", (event) => {
     if (event.target === palette) closePalette();
   });
+  palette.addEventListener("keydown", (event) => trapFocus(event, palette));
+}
+
+if (shortcutsDialog) {
+  shortcutsDialog.addEventListener("click", (event) => {
+    if (event.target === shortcutsDialog || event.target.closest(".shortcuts-close")) {
+      closeShortcuts();
+      return;
+    }
+    if (event.target.closest(".shortcuts-reset")) {
+      resetKeymap();
+      return;
+    }
+    const edit = event.target.closest("[data-rebind]");
+    if (edit) startRebinding(edit.dataset.rebind);
+  });
+  shortcutsDialog.addEventListener("keydown", (event) => {
+    if (rebinding) {
+      recordRebindKey(event);
+      return;
+    }
+    if (event.key === "Escape") closeShortcuts();
+    else trapFocus(event, shortcutsDialog);
+  });
 }
 
+if (shortcutsToggle) {
+  shortcutsToggle.addEventListener("click", () => openShortcuts());
+}
+
+document.addEventListener("keydown", handleShortcutKey);
+
 window.addEventListener("keydown", (event) => {
   if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === "k") {
     event.preventDefault();
@@ -989,9 +4952,13 @@ window.addEventListener("keydown", (event) => {
       openPalette();
     }
   }
+  if (event.key === "Escape" && toc?.classList.contains("is-open")) {
+    toggleTocDrawer(false);
+  }
   if (event.key === "Escape" && palette?.classList.contains("open")) {
     closePalette();
   }
+  if (event.key === "Escape") hideHoverCard();
 });
 
 if (topbar) {
@@ -0,0 +1,72 @@
+/* global marked, MarkdownPipeline */
+importScripts("./vendor/marked/marked.min.js", "./markdown-pipeline.js");
+
+const { htmlText, slugify, renderMarkdown } = MarkdownPipeline;
+
+const BASE = "https://guide.invalid/";
+const TAG = /<(h[23])\b[^>]*>([\s\S]*?)<\/\1>|<a\b[^>]*?\bhref="([^"]*)"/gi;
+
+let building = false;
+
+// Chapter paths that an href written in `path` points to, with the anchor it targets.
+function resolveHref(href, path, chapters) {
+  if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith("//")) return null;
+  const base = new URL(path, BASE);
+  const target = new URL(href.replace(/&amp;/g, "&"), base);
+  if (target.origin !== base.origin) return null;
+  const to = decodeURIComponent(target.pathname.slice(1));
+  if (to === path || !chapters.has(to)) return null;
+  return { to, anchor: decodeURIComponent(target.hash.slice(1)) || null };
+}
+
+// Every link from one chapter to another, with the h2/h3 it sits under. Anchors
+// are numbered the way assignHeadingIds() numbers them in the viewer.
+function chapterLinks(file, markdown, pages, chapters) {
+  const html = renderMarkdown(marked, markdown, { path: file.path, pages });
+  const used = new Map();
+  const links = [];
+  let heading = null;
+  for (const match of html.matchAll(TAG)) {
+    if (match[1]) {
+      const text = htmlText(match[2]).replace(/\s+/g, " ").trim();
+      let anchor = slugify(text || "section");
+      const count = (used.get(anchor) || 0) + 1;
+      used.set(anchor, count);
+      if (count > 1) anchor = `${anchor}-${count}`;
+      heading = { text, anchor };
+      continue;
+    }
+    const target = resolveHref(match[3], file.path, chapters);
+    if (!target) continue;
+    links.push({
+      from: file.path,
+      to: target.to,
+      heading: heading ? heading.text : null,
+      anchor: heading ? heading.anchor : null,
+      target: target.anchor
+    });
+  }
+  return links;
+}
+
+async function buildGraph(files, pages) {
+  const chapters = new Set(files.map((file) => file.path));
+  const links = [];
+  let done = 0;
+  for (const file of files) {
+    try {
+      const response = await fetch(file.url);
+      if (response.ok) links.push(...chapterLinks(file, await response.text(), pages, chapters));
+    } catch {}
+    done += 1;
+    self.postMessage({ type: "progress", done, total: files.length });
+  }
+  self.postMessage({ type: "ready", links });
+}
+
+self.onmessage = (event) => {
+  const { type, files, pages } = event.data || {};
+  if (type !== "build" || building) return;
+  building = true;
+  buildGraph(files || [], pages || []);
+};
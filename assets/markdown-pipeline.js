@@ -0,0 +1,680 @@
+/* Markdown → HTML pipeline shared by the workers and scripts/prerender.js. */
+(function (global) {
+  const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", "#39": "'" };
+  const CALLOUT = /^\s*\[!([A-Za-z0-9_-]+)\]([+-]?)\s*(.*)$/;
+  const WIKILINK = /^(!?)\[\[([^[\]\n|]*?)(?:\|([^[\]\n]+?))?\]\]/;
+  const EMBED = /^ {0,3}!\[\[([^[\]\n|]+?)(?:\|[^[\]\n]*)?\]\][ \t]*(?:\n+|$)/;
+  const FOOTNOTE = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n+(?: {4}|\t)[^\n]*)*)(?:\n+|$)/;
+  const FOOTNOTE_REF = /^\[\^([^\]\s]+)\]/;
+  const COMMENT = /^%%[\s\S]*?%%/;
+  const COMMENT_BLOCK = /^ {0,3}%%[\s\S]*?%%[ \t]*(?:\n+|$)/;
+  const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+  const QUIZ_KEY = /^(Q|Question|A|Answer|E|Explanation):\s?(.*)$/i;
+  const QUIZ_OPTION = /^[-*] \[( |x|X)\] (.*)$/;
+  const QUIZ_BLANK = /_{3,}/g;
+  const GLOSSARY_TERM = /^ {0,3}##[ \t]+(.+?)[ \t#]*$/;
+  const GLOSSARY_KEY = /^(Also|See):\s*(.*)$/i;
+  // English text the pipeline writes itself; app.js passes translations as context.labels.
+  const LABELS = {
+    "wikilink.broken": "No chapter matches {name}",
+    "embed.missing": "No section \"{heading}\" in {chapter}",
+    "footnote.back": "Back to reference {number}",
+    "quiz.question": "Question {number}",
+    "quiz.choice": "Multiple choice",
+    "quiz.output": "Code output",
+    "quiz.blank": "Fill in the blank",
+    "quiz.answers": "Answers",
+    "quiz.outputLabel": "Output",
+    "quiz.blankLabel": "Blank {number}",
+    "quiz.check": "Check",
+    "quiz.retry": "Try again",
+    "quiz.embedded": "This section has a quiz; open the chapter to answer it.",
+    "task.done": "Done",
+    "task.todo": "To do"
+  };
+
+  // Values are inserted as given; escape them first where they come from content.
+  function label(context, key, values = {}) {
+    const text = context.labels?.[key] ?? LABELS[key];
+    return String(text).replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  // Plain text of an HTML fragment, as textContent would return it.
+  function htmlText(html) {
+    return html
+      .replace(/<[^>]*>/g, "")
+      .replace(/&(amp|lt|gt|quot|#39);/g, (entity, name) => ENTITIES[name])
+      .replace(/&#(x[0-9a-f]+|[0-9]+);/gi, (entity, code) => {
+        return String.fromCodePoint(code[0].toLowerCase() === "x" ? parseInt(code.slice(1), 16) : parseInt(code, 10));
+      });
+  }
+
+  // Must stay in sync with slugify() in app.js so anchors match rendered heading ids.
+  function slugify(text) {
+    return text
+      .toLowerCase()
+      .replace(/[^a-z0-9\\s-]/g, "")
+      .trim()
+      .replace(/\\s+/g, "-");
+  }
+
+  function transformHighlights(markdown) {
+    return markdown.replace(/==([^=\n]+)==/g, "<mark>$1</mark>");
+  }
+
+  const normalize = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+  // Path of `to` relative to the folder of `from`; both are relative to the guide root.
+  function relativePath(from, to) {
+    const fromDirs = from.split("/").slice(0, -1);
+    const toParts = to.split("/");
+    while (fromDirs.length && toParts.length > 1 && fromDirs[0] === toParts[0]) {
+      fromDirs.shift();
+      toParts.shift();
+    }
+    return encodeURI([...fromDirs.map(() => ".."), ...toParts].join("/"));
+  }
+
+  // Obsidian resolves [[Name]] by file name; accept a path, a file name or a
+  // chapter title, preferring chapters next to the one doing the linking.
+  function resolveWikilink(name, context) {
+    const wanted = name.trim().replace(/\.md$/i, "").toLowerCase();
+    if (!wanted) return context.path ? { path: context.path, title: "" } : null;
+    const pages = context.pages || [];
+    const stem = (page) => page.path.replace(/\.md$/i, "").toLowerCase();
+    const folder = (context.path || "").split("/").slice(0, -1).join("/");
+    const byName = pages.filter((page) => stem(page) === wanted || stem(page).endsWith(`/${wanted}`));
+    return byName.find((page) => page.path.startsWith(`${folder}/`))
+      || byName[0]
+      || pages.find((page) => page.title && page.title.toLowerCase() === wanted)
+      || null;
+  }
+
+  function parseWikilink(target) {
+    const at = target.indexOf("#");
+    return at === -1
+      ? { name: target, heading: "" }
+      : { name: target.slice(0, at), heading: target.slice(at + 1).trim() };
+  }
+
+  function wikilinkHref(page, heading, context) {
+    const anchor = heading ? `#${slugify(heading)}` : "";
+    if (page.path === context.path && anchor) return anchor;
+    return `${relativePath(context.path || "", page.path)}${anchor}`;
+  }
+
+  function renderWikilink(target, alias, context) {
+    const { name, heading } = parseWikilink(target);
+    const page = resolveWikilink(name, context);
+    const fallback = heading ? `${name.trim()} › ${heading}` : name.trim();
+    if (!page) {
+      return `<span class="wikilink is-broken" title="${escapeHtml(label(context, "wikilink.broken", { name: name.trim() }))}">${escapeHtml(alias || fallback)}</span>`;
+    }
+    const title = page.path === context.path && heading ? heading : [page.title || name.trim(), heading].filter(Boolean).join(" › ");
+    return `<a class="wikilink" href="${escapeHtml(wikilinkHref(page, heading, context))}">${escapeHtml(alias || title)}</a>`;
+  }
+
+  // Chapters that ![[embeds]] in `markdown` pull from, so callers can load them first.
+  function embedTargets(markdown, context = {}) {
+    const targets = new Set();
+    let fence = null;
+    markdown.split("\n").forEach((line) => {
+      const opening = line.match(FENCE);
+      if (opening && (!fence || opening[1][0] === fence[0])) {
+        fence = fence ? null : opening[1];
+        return;
+      }
+      const embed = !fence && line.match(EMBED);
+      const page = embed && resolveWikilink(parseWikilink(embed[1]).name, context);
+      if (page && page.path !== context.path) targets.add(page.path);
+    });
+    return Array.from(targets);
+  }
+
+  // The lines under `heading` up to the next heading of the same or a higher
+  // level; without a heading, the whole chapter minus its title.
+  function extractSection(markdown, heading) {
+    const lines = markdown.split("\n");
+    const wanted = normalize(heading || "");
+    let fence = null;
+    let start = -1;
+    let level = 0;
+    let title = "";
+    for (let index = 0; index < lines.length; index += 1) {
+      const opening = lines[index].match(FENCE);
+      if (opening && (!fence || opening[1][0] === fence[0])) {
+        fence = fence ? null : opening[1];
+        continue;
+      }
+      const match = !fence && lines[index].match(/^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (!match) continue;
+      if (start !== -1 && match[1].length <= level) {
+        return { title, markdown: lines.slice(start, index).join("\n") };
+      }
+      if (start === -1 && (wanted ? normalize(match[2]) === wanted : match[1].length === 1)) {
+        start = index + 1;
+        level = wanted ? match[1].length : 0;
+        title = match[2];
+      }
+    }
+    if (start !== -1) return { title, markdown: lines.slice(start).join("\n") };
+    return wanted ? null : { title: "", markdown };
+  }
+
+  // Embedded HTML was written relative to its own chapter; point its links
+  // back at that chapter from the one it is shown in.
+  function rebaseLinks(html, from, to) {
+    const base = new URL(from, "https://guide.invalid/");
+    return html.replace(/\b(href|src)="([^"]*)"/g, (match, attribute, value) => {
+      if (!value || /^[a-z][a-z0-9+.-]*:/i.test(value) || value.startsWith("//")) return match;
+      const target = new URL(value.replace(/&amp;/g, "&"), base);
+      const path = decodeURIComponent(target.pathname.slice(1));
+      const href = path === to && target.hash ? target.hash : `${relativePath(to, path)}${target.search}${target.hash}`;
+      return `${attribute}="${escapeHtml(href)}"`;
+    });
+  }
+
+  function createExtensions(marked, context, state) {
+    const footnotePrefix = context.footnotePrefix || "";
+    const blockStart = (pattern) => (src) => {
+      const match = src.match(pattern);
+      return match ? match.index : undefined;
+    };
+
+    const renderEmbed = (token) => {
+      const { name, heading } = parseWikilink(token.target);
+      const page = resolveWikilink(name, context);
+      const source = page && state.sources[page.path];
+      // Embeds are one level deep, which also keeps chapters from embedding each other forever.
+      if (context.embedded || source == null) return `<p>${renderWikilink(token.target, "", context)}</p>\n`;
+      const section = extractSection(source, heading);
+      if (!section) {
+        return `<div class="embed is-missing">${label(context, "embed.missing", { heading: escapeHtml(heading), chapter: renderWikilink(name, "", context) })}</div>\n`;
+      }
+      state.embeds += 1;
+      const body = renderMarkdown(marked, section.markdown, {
+        ...context,
+        path: page.path,
+        embedded: true,
+        footnotePrefix: `${footnotePrefix}embed${state.embeds}-`
+      });
+      const label = [page.title || name.trim(), heading && htmlText(marked.parseInline(section.title))].filter(Boolean).join(" › ");
+      return `<div class="embed"><div class="embed-title"><a class="wikilink" href="${escapeHtml(wikilinkHref(page, heading, context))}">${escapeHtml(label)}</a></div><div class="embed-body">${page.path === context.path ? body : rebaseLinks(body, page.path, context.path || "")}</div></div>\n`;
+    };
+
+    return [
+      {
+        name: "comment",
+        level: "block",
+        start: blockStart(/^ {0,3}%%/m),
+        tokenizer(src) {
+          const match = src.match(COMMENT_BLOCK);
+          if (match) return { type: "comment", raw: match[0] };
+        },
+        renderer: () => ""
+      },
+      {
+        name: "comment",
+        level: "inline",
+        start: (src) => src.indexOf("%%"),
+        tokenizer(src) {
+          const match = src.match(COMMENT);
+          if (match) return { type: "comment", raw: match[0] };
+        }
+      },
+      {
+        name: "embed",
+        level: "block",
+        start: blockStart(/^ {0,3}!\[\[/m),
+        tokenizer(src) {
+          const match = src.match(EMBED);
+          if (match) return { type: "embed", raw: match[0], target: match[1] };
+        },
+        renderer: renderEmbed
+      },
+      {
+        name: "wikilink",
+        level: "inline",
+        start(src) {
+          const index = src.indexOf("[[");
+          return index > 0 && src[index - 1] === "!" ? index - 1 : index;
+        },
+        tokenizer(src) {
+          const match = src.match(WIKILINK);
+          if (match) return { type: "wikilink", raw: match[0], target: match[2], alias: match[3] };
+        },
+        renderer: (token) => renderWikilink(token.target, token.alias, context)
+      },
+      {
+        name: "footnote",
+        level: "block",
+        start: blockStart(/^ {0,3}\[\^[^\]\s]+\]:/m),
+        tokenizer(src) {
+          const match = src.match(FOOTNOTE);
+          if (!match) return undefined;
+          const token = { type: "footnote", raw: match[0], id: match[1], tokens: [] };
+          this.lexer.blockTokens(match[2].replace(/^(?: {4}|\t)/gm, ""), token.tokens);
+          state.definitions.set(token.id, token);
+          return token;
+        },
+        renderer(token) {
+          state.definitions.get(token.id).html = this.parser.parse(token.tokens);
+          return "";
+        }
+      },
+      {
+        name: "footnoteRef",
+        level: "inline",
+        start: (src) => src.indexOf("[^"),
+        tokenizer(src) {
+          const match = src.match(FOOTNOTE_REF);
+          if (match && state.definitions.has(match[1])) return { type: "footnoteRef", raw: match[0], id: match[1] };
+        },
+        renderer(token) {
+          const note = state.definitions.get(token.id);
+          if (!note.number) {
+            state.order.push(note);
+            note.number = state.order.length;
+            note.refs = 0;
+          }
+          note.refs += 1;
+          const id = escapeHtml(`${footnotePrefix}${token.id}`);
+          const suffix = note.refs > 1 ? `-${note.refs}` : "";
+          return `<sup class="footnote-ref" id="fnref-${id}${suffix}"><a href="#fn-${id}">${note.number}</a></sup>`;
+        }
+      }
+    ];
+  }
+
+  function renderFootnotes(state, context) {
+    if (!state.order.length) return "";
+    const items = state.order.map((note) => {
+      const id = escapeHtml(`${context.footnotePrefix || ""}${note.id}`);
+      const backrefs = Array.from({ length: note.refs }, (_, index) => {
+        return `<a class="footnote-backref" href="#fnref-${id}${index ? `-${index + 1}` : ""}" aria-label="${escapeHtml(label(context, "footnote.back", { number: note.number }))}">↩</a>`;
+      }).join(" ");
+      const html = (note.html || "").trim();
+      const body = /<\/p>$/.test(html) ? html.replace(/<\/p>$/, ` ${backrefs}</p>`) : `${html}<p>${backrefs}</p>`;
+      return `<li id="fn-${id}">${body}</li>`;
+    });
+    return `<section class="footnotes" role="doc-endnotes"><ol>${items.join("")}</ol></section>\n`;
+  }
+
+  // ```quiz blocks hold one or more questions separated by `---` lines:
+  //
+  //   Q: What does `typeof null` return?      the prompt, markdown, may continue on the next lines
+  //   - [ ] "null"                             options make a multiple-choice question;
+  //   - [x] "object"                           several [x] ask the reader to tick them all
+  //   ~~~js                                    a code block plus A: lines asks what the code logs,
+  //   console.log(1 + "1");                    one A: line per line of output
+  //   ~~~
+  //   A: 11
+  //   Explanation: shown once the reader checks the answer
+  //
+  // Without options or code, every ___ in the prompt is a blank and the A: lines
+  // answer them in order; `|` separates accepted alternatives.
+  function parseQuiz(source) {
+    const questions = [];
+    const errors = [];
+    let chunk = [];
+    let fence = null;
+    const chunks = [];
+    source.split("\n").forEach((line) => {
+      const opening = line.match(FENCE);
+      if (fence) {
+        if (opening && opening[1][0] === fence[0] && opening[1].length >= fence.length) fence = null;
+      } else if (opening) {
+        fence = opening[1];
+      } else if (/^-{3,}\s*$/.test(line)) {
+        chunks.push(chunk);
+        chunk = [];
+        return;
+      }
+      chunk.push(line);
+    });
+    chunks.push(chunk);
+
+    chunks.forEach((lines) => {
+      if (!lines.some((line) => line.trim())) return;
+      const question = { prompt: [], options: [], code: null, answers: [], explanation: [] };
+      let field = null;
+      for (let index = 0; index < lines.length; index += 1) {
+        const line = lines[index];
+        const opening = line.match(FENCE);
+        if (opening) {
+          const close = lines.findIndex((other, at) => at > index && other.trim().startsWith(opening[1]));
+          const end = close === -1 ? lines.length : close;
+          question.code = { lang: line.trim().slice(opening[1].length).trim(), text: lines.slice(index + 1, end).join("\n") };
+          index = end;
+          field = null;
+          continue;
+        }
+        const option = line.match(QUIZ_OPTION);
+        if (option) {
+          question.options.push({ text: option[2], correct: option[1] !== " " });
+          field = null;
+          continue;
+        }
+        const key = line.match(QUIZ_KEY);
+        if (key) {
+          const name = key[1][0].toUpperCase();
+          if (name === "A") question.answers.push(key[2].trim());
+          field = name === "Q" ? question.prompt : name === "E" ? question.explanation : null;
+          if (field) field.push(key[2]);
+          continue;
+        }
+        if (field) field.push(line);
+      }
+      question.prompt = question.prompt.join("\n").trim();
+      question.explanation = question.explanation.join("\n").trim();
+      question.type = question.options.length ? "choice" : question.code ? "output" : "blank";
+      const label = `question ${questions.length + 1}`;
+      if (!question.prompt) errors.push(`${label} has no "Q:" line`);
+      if (question.type === "choice" && !question.options.some((item) => item.correct)) {
+        errors.push(`${label} marks no option as correct with [x]`);
+      }
+      if (question.type !== "choice" && !question.answers.length) errors.push(`${label} has no "A:" answer`);
+      const blanks = (question.prompt.match(QUIZ_BLANK) || []).length;
+      if (question.type === "blank" && blanks > 1 && blanks !== question.answers.length) {
+        errors.push(`${label} has ${blanks} blanks but ${question.answers.length} answers`);
+      }
+      questions.push(question);
+    });
+    if (!questions.length) errors.push("quiz block has no questions");
+    return { questions, errors };
+  }
+
+  // GLOSSARY.md: every "## Term" starts an entry; "Also:" lists other names for
+  // it, "See:" links the chapter that explains it, the other lines define it.
+  function parseGlossary(source) {
+    const entries = [];
+    const errors = [];
+    let entry = null;
+    let fence = null;
+    source.split("\n").forEach((line, index) => {
+      const opening = line.match(FENCE);
+      if (fence || opening) {
+        if (fence && opening && opening[1][0] === fence[0] && opening[1].length >= fence.length) fence = null;
+        else if (!fence) fence = opening[1];
+        if (entry) entry.definition.push(line);
+        return;
+      }
+      const heading = line.match(GLOSSARY_TERM);
+      if (heading) {
+        entry = { term: heading[1], id: slugify(heading[1]), aliases: [], see: "", definition: [], line: index + 1 };
+        entries.push(entry);
+        return;
+      }
+      if (!entry) return;
+      const key = line.match(GLOSSARY_KEY);
+      if (key && key[1].toLowerCase() === "also") {
+        entry.aliases.push(...key[2].split(",").map((name) => name.trim()).filter(Boolean));
+      } else if (key) {
+        entry.see = key[2].trim();
+      } else {
+        entry.definition.push(line);
+      }
+    });
+
+    const names = new Map();
+    entries.forEach((item) => {
+      item.definition = item.definition.join("\n").trim();
+      if (!item.definition) errors.push({ line: item.line, message: `"${item.term}" has no definition` });
+      [item.term, ...item.aliases].forEach((name) => {
+        const key = name.toLowerCase();
+        if (names.has(key)) errors.push({ line: item.line, message: `"${name}" is already defined on line ${names.get(key)}` });
+        else names.set(key, item.line);
+      });
+    });
+    return { entries, errors };
+  }
+
+  // `number` counts questions across the chapter so app.js can store results per question.
+  // The answers go in a JSON block that app.js reads and removes when it sets the
+  // quiz up, instead of in attributes on the inputs.
+  function renderQuestion(marked, question, number, renderCode, context) {
+    const name = `quiz-${number}`;
+    const text = (key, values) => escapeHtml(label(context, key, values));
+    const accepted = [];
+    // Marked would read runs of underscores as emphasis, so blanks go through as a marker.
+    let prompt = marked.parse(question.prompt.replace(QUIZ_BLANK, "\u2063blank\u2063"));
+    let answer = "";
+    if (question.type === "choice") {
+      const multiple = question.options.filter((item) => item.correct).length > 1;
+      question.options.forEach((item, index) => {
+        if (item.correct) accepted.push(String(index));
+      });
+      const options = question.options.map((item, index) => `
+        <label class="quiz-option"><input type="${multiple ? "checkbox" : "radio"}" name="${name}" value="${index}" /> <span>${marked.parseInline(item.text)}</span></label>`);
+      answer = `<fieldset class="quiz-options" aria-label="${text("quiz.answers")}">${options.join("")}
+      </fieldset>`;
+    } else if (question.type === "output") {
+      accepted.push([question.answers.join("\n")]);
+      answer = `<textarea class="quiz-input" name="${name}" rows="${Math.max(question.answers.length, 1)}" spellcheck="false" aria-label="${text("quiz.outputLabel")}"></textarea>`;
+    } else {
+      let blank = 0;
+      const input = () => {
+        accepted.push((question.answers[blank] || question.answers[0] || "").split("|").map((item) => item.trim()));
+        blank += 1;
+        return `<input class="quiz-input quiz-blank" type="text" name="${name}-${blank}" spellcheck="false" autocomplete="off" aria-label="${text("quiz.blankLabel", { number: blank })}" />`;
+      };
+      prompt = prompt.replace(/\u2063blank\u2063/g, input);
+      if (!blank) answer = `<p>${input()}</p>`;
+    }
+    const code = question.code ? renderCode(question.code.text, question.code.lang || "javascript", false) : "";
+    const explanation = question.explanation
+      ? `<div class="quiz-explanation" hidden>${marked.parse(question.explanation)}</div>`
+      : "";
+    return `<form class="quiz-question" data-quiz-type="${question.type}" data-question="${number}">
+      <div class="quiz-label">${text("quiz.question", { number: number + 1 })} · ${text(`quiz.${question.type}`)}</div>
+      <div class="quiz-prompt">${prompt}</div>
+      ${code}${answer}
+      <div class="quiz-actions">
+        <button type="submit" class="pill">${text("quiz.check")}</button>
+        <button type="button" class="pill ghost" data-quiz-action="reset" hidden>${text("quiz.retry")}</button>
+        <span class="quiz-feedback" role="status"></span>
+      </div>
+      ${explanation}
+      <script type="application/json" class="quiz-key">${JSON.stringify(accepted).replace(/</g, "\\u003c")}</script>
+    </form>\n`;
+  }
+
+  function createRenderer(marked, context = {}) {
+    const renderer = new marked.Renderer();
+    const renderCode = renderer.code.bind(renderer);
+    const renderHeading = renderer.heading.bind(renderer);
+    const renderBlockquote = renderer.blockquote.bind(renderer);
+    const used = new Map();
+    let questions = 0;
+
+    // Marked keeps only the first word of a fence's info string; expose the rest
+    // (flags such as `norun`) to the page as data-info.
+    renderer.code = (code, infostring, escaped) => {
+      if ((infostring || "").trim().split(/\s/)[0] === "quiz") {
+        // Results are stored per chapter, so a quiz is only answerable on its own page.
+        if (context.embedded) return `<p class="quiz-embedded"><em>${escapeHtml(label(context, "quiz.embedded"))}</em></p>\n`;
+        const { questions: parsed, errors } = parseQuiz(code);
+        if (errors.length) {
+          return `<div class="callout callout-warning quiz-invalid"><div class="callout-title">QUIZ</div><div class="callout-body"><p>${escapeHtml(errors.join("; "))}</p></div></div>\n`;
+        }
+        const html = parsed.map((question) => renderQuestion(marked, question, questions++, renderCode, context)).join("");
+        return `<div class="quiz">${html}</div>\n`;
+      }
+      const html = renderCode(code, infostring, escaped);
+      const flags = (infostring || "").trim().replace(/^\S*\s*/, "");
+      if (!flags) return html;
+      return html.replace("<pre>", `<pre data-info="${escapeHtml(flags)}">`);
+    };
+
+    renderer.heading = (text, level, raw) => {
+      // Headings inside an embed belong to another chapter: keep them out of
+      // this page's outline and anchors.
+      if (context.embedded) return `<div class="embed-heading" role="heading" aria-level="${level}">${text}</div>\n`;
+      if (level !== 2 && level !== 3) return renderHeading(text, level, raw);
+      let base = slugify(htmlText(text) || "section");
+      const count = (used.get(base) || 0) + 1;
+      used.set(base, count);
+      if (count > 1) base = `${base}-${count}`;
+      return `<h${level} id="${escapeHtml(base)}">${text}</h${level}>\n`;
+    };
+
+    // Obsidian callouts: a blockquote whose first line is `[!type] Title`;
+    // `[!type]-` and `[!type]+` fold, starting closed and open respectively.
+    renderer.blockquote = (quote) => {
+      const first = quote.match(/<p>([\s\S]*?)<\/p>\n?/);
+      const [line, ...rest] = first ? first[1].split("\n") : [];
+      const match = line && htmlText(line).match(CALLOUT);
+      if (!match) return renderBlockquote(quote);
+      const type = match[1].toLowerCase();
+      const title = escapeHtml((match[3] || type).toUpperCase());
+      const body = quote.replace(first[0], rest.length ? `<p>${rest.join("\n")}</p>\n` : "");
+      if (!match[2]) {
+        return `<div class="callout callout-${escapeHtml(type)}"><div class="callout-title">${title}</div><div class="callout-body">${body}</div></div>\n`;
+      }
+      return `<details class="callout callout-${escapeHtml(type)}"${match[2] === "+" ? " open" : ""}><summary class="callout-title">${title}</summary><div class="callout-body">${body}</div></details>\n`;
+    };
+
+    // Task list boxes are read-only; without a name a screen reader announces a bare checkbox.
+    renderer.checkbox = (checked) => {
+      const name = escapeHtml(label(context, checked ? "task.done" : "task.todo"));
+      return `<input ${checked ? "checked=\"\" " : ""}disabled="" type="checkbox" aria-label="${name}">`;
+    };
+
+    return renderer;
+  }
+
+  // Plugins listed under "plugins" in guide.json, in `order` (lowest first, then
+  // load order). README.md documents the hooks a plugin can define.
+  const plugins = [];
+
+  function registerPlugin(plugin) {
+    if (!plugin || typeof plugin.name !== "string" || !plugin.name) {
+      throw new TypeError("A plugin needs a name");
+    }
+    if (plugins.some((item) => item.name === plugin.name)) return;
+    plugins.push(plugin);
+    plugins.sort((a, b) => (a.order || 0) - (b.order || 0));
+  }
+
+  function listPlugins() {
+    return plugins.slice();
+  }
+
+  const pluginErrors = new Map();
+
+  // Once per plugin and hook: a broken tokenizer fails at every character it is
+  // offered. scripts/prerender.js prints the list; the viewer stays quiet.
+  function reportPluginError(plugin, hook, error) {
+    const key = `${plugin.name}\n${hook}`;
+    if (pluginErrors.has(key)) return;
+    pluginErrors.set(key, { plugin: plugin.name, hook, message: error?.message || String(error) });
+  }
+
+  function listPluginErrors() {
+    return [...pluginErrors.values()];
+  }
+
+  // An extension that throws counts as not matching, or renders as its source
+  // text, so one broken plugin never takes the rest of the chapter with it.
+  function guardExtension(plugin, extension) {
+    const guarded = { ...extension };
+    ["start", "tokenizer"].forEach((key) => {
+      if (typeof extension[key] !== "function") return;
+      guarded[key] = function (...args) {
+        try {
+          return extension[key].apply(this, args);
+        } catch (error) {
+          reportPluginError(plugin, `${extension.name} ${key}`, error);
+          return undefined;
+        }
+      };
+    });
+    if (typeof extension.renderer === "function") {
+      guarded.renderer = function (token) {
+        try {
+          return extension.renderer.call(this, token);
+        } catch (error) {
+          reportPluginError(plugin, `${extension.name} renderer`, error);
+          return escapeHtml(token.raw || "");
+        }
+      };
+    }
+    return guarded;
+  }
+
+  function pluginExtensions(marked, context) {
+    return plugins.flatMap((plugin) => {
+      if (typeof plugin.extensions !== "function") return [];
+      try {
+        return (plugin.extensions(marked, context) || []).map((extension) => guardExtension(plugin, extension));
+      } catch (error) {
+        reportPluginError(plugin, "extensions", error);
+        return [];
+      }
+    });
+  }
+
+  function transformPlugins(markdown, context) {
+    return plugins.reduce((text, plugin) => {
+      if (typeof plugin.markdown !== "function") return text;
+      try {
+        const result = plugin.markdown(text, context);
+        return typeof result === "string" ? result : text;
+      } catch (error) {
+        reportPluginError(plugin, "markdown", error);
+        return text;
+      }
+    }, markdown);
+  }
+
+  // `context` ties wikilinks to the guide: `path` is the chapter being rendered,
+  // `pages` lists { path, title } for every chapter, `sources` maps chapter
+  // paths to the markdown that ![[embeds]] transclude (see embedTargets), and
+  // `labels` optionally translates the LABELS above.
+  function renderMarkdown(marked, markdown, context = {}) {
+    const state = {
+      definitions: new Map(),
+      order: [],
+      embeds: 0,
+      sources: { ...context.sources, ...(context.path ? { [context.path]: markdown } : {}) }
+    };
+    const extensions = [...createExtensions(marked, context, state), ...pluginExtensions(marked, context)];
+    const instance = new marked.Marked({ extensions });
+    const html = instance.parse(transformHighlights(transformPlugins(markdown, context)), {
+      gfm: true,
+      breaks: false,
+      renderer: createRenderer(marked, context)
+    });
+    return html + renderFootnotes(state, context);
+  }
+
+  const api = {
+    escapeHtml,
+    htmlText,
+    slugify,
+    transformHighlights,
+    resolveWikilink,
+    embedTargets,
+    parseQuiz,
+    parseGlossary,
+    createRenderer,
+    renderMarkdown,
+    registerPlugin,
+    listPlugins,
+    reportPluginError,
+    listPluginErrors
+  };
+  if (typeof module === "object" && module.exports) {
+    module.exports = api;
+  } else {
+    global.MarkdownPipeline = api;
+  }
+})(typeof self !== "undefined" ? self : this);
@@ -1,22 +1,26 @@
-/* global marked */
-importScripts("./vendor/marked/marked.min.js");
+/* global marked, MarkdownPipeline */
+importScripts("./vendor/marked/marked.min.js", "./markdown-pipeline.js");
 
-marked.setOptions({
-  gfm: true,
-  breaks: false
-});
+const importedPlugins = new Set();
 
-function transformHighlights(markdown) {
-  return markdown.replace(/==([^=\n]+)==/g, "<mark>$1</mark>");
+// Plugin files register themselves with MarkdownPipeline as they load; one
+// that fails to load is left out, as app.js does on the page.
+function importPlugins(urls) {
+  urls.filter((url) => !importedPlugins.has(url)).forEach((url) => {
+    importedPlugins.add(url);
+    try {
+      importScripts(url);
+    } catch {}
+  });
 }
 
 self.onmessage = (event) => {
-  const { id, markdown } = event.data || {};
+  const { id, markdown, context, plugins } = event.data || {};
+  importPlugins(plugins || []);
   if (!markdown) {
     self.postMessage({ id, html: "" });
     return;
   }
-  const processed = transformHighlights(markdown);
-  const html = marked.parse(processed);
+  const html = MarkdownPipeline.renderMarkdown(marked, markdown, context);
   self.postMessage({ id, html });
 };
@@ -0,0 +1,245 @@
+/* global marked, MarkdownPipeline */
+importScripts("./vendor/marked/marked.min.js", "./markdown-pipeline.js");
+
+const { escapeHtml, slugify } = MarkdownPipeline;
+
+const records = [];
+const postings = new Map();
+// Every indexed term in sorted order, so the terms sharing a prefix sit side by side.
+let vocabulary = [];
+let building = false;
+let ready = false;
+
+const ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": "\"", "&#39;": "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(amp|lt|gt|quot|#39);/g, (entity) => ENTITIES[entity]);
+}
+
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}_$]{2,}/gu) || [];
+}
+
+function inlineText(tokens) {
+  if (!tokens) return "";
+  return tokens
+    .map((token) => {
+      if (token.type === "html") return "";
+      if (token.tokens) return inlineText(token.tokens);
+      return decodeEntities(token.text || "");
+    })
+    .join("");
+}
+
+function blockText(token) {
+  switch (token.type) {
+    case "code":
+      return token.text;
+    case "paragraph":
+    case "text":
+      return token.tokens ? inlineText(token.tokens) : decodeEntities(token.text || "");
+    case "html":
+      return token.text.replace(/<[^>]+>/g, " ");
+    case "table":
+      return [token.header, ...token.rows]
+        .map((row) => row.map((cell) => inlineText(cell.tokens)).join(" "))
+        .join(" ");
+    default:
+      return "";
+  }
+}
+
+function indexDocument(file, markdown) {
+  const used = new Map();
+  let current = null;
+
+  const startRecord = (heading, level) => {
+    let anchor = null;
+    if (level === 2 || level === 3) {
+      let base = slugify(heading || "section");
+      const count = (used.get(base) || 0) + 1;
+      used.set(base, count);
+      if (count > 1) base = `${base}-${count}`;
+      anchor = base;
+    } else if (current && level > 3) {
+      anchor = current.anchor;
+    }
+    current = {
+      path: file.path,
+      hash: file.hash,
+      chapter: file.title,
+      section: file.sectionTitle,
+      heading,
+      anchor,
+      parts: []
+    };
+    records.push(current);
+  };
+
+  const walk = (tokens) => {
+    tokens.forEach((token) => {
+      if (token.type === "heading") {
+        startRecord(inlineText(token.tokens).trim(), token.depth);
+        return;
+      }
+      if (!current) startRecord(file.title, 1);
+      if (token.type === "list") {
+        token.items.forEach((item) => walk(item.tokens));
+        return;
+      }
+      if (token.type === "blockquote") {
+        walk(token.tokens);
+        return;
+      }
+      const text = blockText(token);
+      if (text) current.parts.push(text);
+    });
+  };
+
+  const source = markdown.replace(/==([^=\n]+)==/g, "$1");
+  walk(marked.lexer(source));
+}
+
+function finalizeIndex(from) {
+  for (let id = from; id < records.length; id++) {
+    const record = records[id];
+    record.text = record.parts.join(" ").replace(/\s+/g, " ").trim();
+    delete record.parts;
+    const weights = new Map();
+    tokenize(record.heading).forEach((term) => weights.set(term, (weights.get(term) || 0) + 5));
+    tokenize(record.text).forEach((term) => weights.set(term, (weights.get(term) || 0) + 1));
+    weights.forEach((weight, term) => {
+      let list = postings.get(term);
+      if (!list) {
+        list = new Map();
+        postings.set(term, list);
+      }
+      list.set(id, weight);
+    });
+  }
+}
+
+async function buildIndex(files) {
+  let done = 0;
+  for (const file of files) {
+    try {
+      const response = await fetch(file.url);
+      if (response.ok) {
+        const from = records.length;
+        indexDocument(file, await response.text());
+        finalizeIndex(from);
+      }
+    } catch {}
+    done += 1;
+    self.postMessage({ type: "progress", done, total: files.length });
+  }
+  vocabulary = [...postings.keys()].sort();
+  ready = true;
+  self.postMessage({ type: "ready", records: records.length });
+}
+
+// Binary search for the first term in the vocabulary that is not below `prefix`.
+function firstTermFrom(prefix) {
+  let low = 0;
+  let high = vocabulary.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (vocabulary[middle] < prefix) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+function matchTerm(term, isLast) {
+  const scores = new Map();
+  const add = (list, factor) => {
+    const idf = Math.log(1 + records.length / list.size);
+    list.forEach((weight, id) => {
+      const score = (1 + Math.log(weight)) * idf * factor;
+      if (score > (scores.get(id) || 0)) scores.set(id, score);
+    });
+  };
+  const exact = postings.get(term);
+  if (exact) add(exact, 1);
+  if (isLast || term.length >= 4) {
+    for (let index = firstTermFrom(term); index < vocabulary.length && vocabulary[index].startsWith(term); index++) {
+      if (vocabulary[index] !== term) add(postings.get(vocabulary[index]), 0.6);
+    }
+  }
+  return scores;
+}
+
+function buildSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  let position = -1;
+  terms.forEach((term) => {
+    const found = lower.indexOf(term);
+    if (found !== -1 && (position === -1 || found < position)) position = found;
+  });
+  const start = Math.max(0, position - 60);
+  const end = Math.min(text.length, start + 180);
+  const pattern = new RegExp(terms.map((term) => term.replace(/[$]/g, "\\$")).join("|"), "gi");
+  const slice = text.slice(start, end);
+  let snippet = "";
+  let last = 0;
+  slice.replace(pattern, (match, offset) => {
+    snippet += `${escapeHtml(slice.slice(last, offset))}<mark>${escapeHtml(match)}</mark>`;
+    last = offset + match.length;
+    return match;
+  });
+  snippet += escapeHtml(slice.slice(last));
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`;
+}
+
+function runQuery(query, limit) {
+  const terms = tokenize(query);
+  if (!terms.length) return [];
+  let combined = null;
+  terms.forEach((term, index) => {
+    const scores = matchTerm(term, index === terms.length - 1);
+    if (!combined) {
+      combined = scores;
+      return;
+    }
+    const next = new Map();
+    combined.forEach((score, id) => {
+      if (scores.has(id)) next.set(id, score + scores.get(id));
+    });
+    combined = next;
+  });
+
+  const phrase = query.trim().toLowerCase();
+  return Array.from(combined.entries())
+    .map(([id, score]) => {
+      const record = records[id];
+      if (terms.length > 1 && record.text.toLowerCase().includes(phrase)) score *= 1.5;
+      return { id, score };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ id }) => {
+      const record = records[id];
+      return {
+        hash: record.hash,
+        chapter: record.chapter,
+        section: record.section,
+        heading: record.heading,
+        anchor: record.anchor,
+        snippet: buildSnippet(record.text || record.heading, terms)
+      };
+    });
+}
+
+self.onmessage = (event) => {
+  const { type, id, files, query, limit } = event.data || {};
+  if (type === "build") {
+    if (building || ready) return;
+    building = true;
+    buildIndex(files || []);
+    return;
+  }
+  if (type === "query") {
+    const results = ready ? runQuery(query || "", limit || 40) : [];
+    self.postMessage({ type: "results", id, query, results });
+  }
+};
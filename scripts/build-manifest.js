@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+"use strict";
+
+// Generates and validates guide.json, the content manifest the viewer loads, and
+// guide-versions.json, the content hash and last update of every chapter.
+// Translations live in i18n/<code>/ with the same layout as the English folders;
+// guide.json lists which chapters each language has, and the plugin scripts
+// the viewer loads under "plugins".
+//
+//   node scripts/build-manifest.js          rewrite both files from the numbered folders
+//   node scripts/build-manifest.js --check  report problems without writing (exit 1 on errors)
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { spawnSync } = require("child_process");
+
+const ROOT = path.resolve(__dirname, "..");
+const MANIFEST_FILE = path.join(ROOT, "guide.json");
+const VERSIONS_FILE = path.join(ROOT, "guide-versions.json");
+const SECTION_DIR = /^([0-9]+)-(.+)$/;
+const CHAPTER_FILE = /^[0-9]+-.+\.md$/i;
+const LOCALE_DIR = "i18n";
+// Pages outside the numbered sections, served from the guide root.
+const ROOT_PAGES = ["README.md", "GLOSSARY.md"];
+
+function titleFromFilename(filename) {
+  return filename
+    .replace(/^[0-9]+-/, "")
+    .replace(/-S[0-9]+/g, "")
+    .replace(/\.md$/i, "")
+    .replace(/-/g, " ");
+}
+
+// Last segment of a chapter's clean URL: 07-Streams.md → streams.
+// Must stay in sync with chapterSlug() in assets/app.js.
+function chapterSlug(filename) {
+  return filename
+    .replace(/\.md$/i, "")
+    .replace(/^[0-9]+-/, "")
+    .toLowerCase();
+}
+
+function entryFile(entry) {
+  return typeof entry === "string" ? entry : entry.file;
+}
+
+function readManifest(file = MANIFEST_FILE) {
+  if (!fs.existsSync(file)) return { sections: [] };
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function normalizeManifest(manifest) {
+  return (manifest.sections || []).map((section) => {
+    const titles = {};
+    const files = (section.files || []).map((entry) => {
+      const file = entryFile(entry);
+      if (typeof entry !== "string" && entry.title) titles[file] = entry.title;
+      return file;
+    });
+    return { ...section, intro: section.intro || [], files, titles };
+  });
+}
+
+function scanContent(root = ROOT) {
+  return fs
+    .readdirSync(root, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && SECTION_DIR.test(entry.name))
+    .sort((a, b) => parseInt(a.name, 10) - parseInt(b.name, 10))
+    .map((entry) => ({
+      root: entry.name,
+      files: fs
+        .readdirSync(path.join(root, entry.name))
+        .filter((file) => file.toLowerCase().endsWith(".md"))
+        .sort()
+    }));
+}
+
+function localeCodes(root = ROOT) {
+  const dir = path.join(root, LOCALE_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+}
+
+// Translated chapters of one language, as the paths of their English originals.
+function scanLocale(code, manifest, root = ROOT) {
+  const dir = path.join(root, LOCALE_DIR, code);
+  const files = ROOT_PAGES.filter((file) => fs.existsSync(path.join(dir, file)));
+  normalizeManifest(manifest).forEach((section) => {
+    section.files
+      .filter((file) => fs.existsSync(path.join(dir, section.root, file)))
+      .forEach((file) => files.push(`${section.root}/${file}`));
+  });
+  return files;
+}
+
+function markdownFiles(dir, prefix = "") {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    if (entry.isDirectory()) return markdownFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`);
+    return entry.name.toLowerCase().endsWith(".md") ? [`${prefix}${entry.name}`] : [];
+  });
+}
+
+function validateLocales(manifest, root = ROOT) {
+  const problems = [];
+  const report = (level, message) => problems.push({ level, message });
+  const codes = new Set();
+
+  (manifest.locales || []).forEach((entry, index) => {
+    if (!entry.code) {
+      report("error", `locales[${index}]: missing "code"`);
+      return;
+    }
+    const label = `${LOCALE_DIR}/${entry.code}`;
+    if (codes.has(entry.code)) report("error", `${label}: duplicate locale code`);
+    codes.add(entry.code);
+    const dir = path.join(root, LOCALE_DIR, entry.code);
+    if (!fs.existsSync(dir)) {
+      report("error", `${label}/: locale folder does not exist`);
+      return;
+    }
+    if (!entry.name) report("warning", `${label}: no "name" to show in the language switcher`);
+    if (!fs.existsSync(path.join(dir, "strings.json"))) {
+      report("warning", `${label}/strings.json: missing, the interface stays in English`);
+    }
+    const listed = new Set(entry.files || []);
+    const translated = scanLocale(entry.code, manifest, root);
+    translated
+      .filter((file) => !listed.has(file))
+      .forEach((file) => report("error", `${label}/${file}: exists but is unlisted`));
+    [...listed]
+      .filter((file) => !translated.includes(file))
+      .forEach((file) => report("error", `${label}/${file}: listed but missing`));
+    markdownFiles(dir)
+      .filter((file) => !translated.includes(file))
+      .forEach((file) => report("warning", `${label}/${file}: no English chapter at ${file}, never shown`));
+  });
+
+  localeCodes(root)
+    .filter((code) => !codes.has(code))
+    .forEach((code) => report("error", `${LOCALE_DIR}/${code}/: locale folder is not in the manifest`));
+
+  return problems;
+}
+
+function validatePlugins(manifest, root = ROOT) {
+  const problems = [];
+  const report = (level, message) => problems.push({ level, message });
+  if (manifest.plugins === undefined) return problems;
+  if (!Array.isArray(manifest.plugins)) {
+    report("error", "plugins: must be a list of script paths");
+    return problems;
+  }
+  const seen = new Set();
+  manifest.plugins.forEach((src, index) => {
+    if (typeof src !== "string" || !src) {
+      report("error", `plugins[${index}]: must be a script path`);
+      return;
+    }
+    if (/^[a-z][a-z0-9+.-]*:/i.test(src) || src.startsWith("/") || src.split("/").includes("..")) {
+      report("error", `plugins[${index}]: "${src}" must be a path inside the guide`);
+      return;
+    }
+    if (seen.has(src)) report("error", `${src}: listed twice in plugins`);
+    seen.add(src);
+    if (!src.endsWith(".js")) report("warning", `${src}: plugin is not a .js file`);
+    if (!fs.existsSync(path.join(root, src))) report("error", `${src}: listed in plugins but missing`);
+  });
+  return problems;
+}
+
+function validateManifest(manifest, root = ROOT) {
+  const problems = [];
+  const report = (level, message) => problems.push({ level, message });
+  const ids = new Set();
+  const roots = new Set();
+
+  (manifest.sections || []).forEach((section, index) => {
+    const label = section.id || `sections[${index}]`;
+    ["id", "title", "root"].forEach((key) => {
+      if (!section[key]) report("error", `${label}: missing "${key}"`);
+    });
+    if (ids.has(section.id)) report("error", `${label}: duplicate section id`);
+    ids.add(section.id);
+    roots.add(section.root);
+
+    const dir = path.join(root, section.root || "");
+    if (!section.root || !fs.existsSync(dir)) {
+      report("error", `${label}: root folder "${section.root}" does not exist`);
+      return;
+    }
+    const listed = new Set();
+    const slugs = new Map();
+    (section.files || []).forEach((entry) => {
+      const file = entryFile(entry);
+      if (!file) {
+        report("error", `${label}: chapter entry without a file name`);
+        return;
+      }
+      if (listed.has(file)) report("error", `${section.root}/${file}: listed twice`);
+      listed.add(file);
+      const slug = chapterSlug(file);
+      if (slugs.has(slug) && slugs.get(slug) !== file) {
+        report("error", `${section.root}/${file}: same URL "${section.id}/${slug}" as ${slugs.get(slug)}`);
+      }
+      slugs.set(slug, file);
+      if (!fs.existsSync(path.join(dir, file))) {
+        report("error", `${section.root}/${file}: listed but missing`);
+      }
+    });
+    fs.readdirSync(dir)
+      .filter((file) => file.toLowerCase().endsWith(".md") && !listed.has(file))
+      .forEach((file) => report("error", `${section.root}/${file}: exists but is unlisted`));
+    fs.readdirSync(dir)
+      .filter((file) => file.toLowerCase().endsWith(".md") && !CHAPTER_FILE.test(file))
+      .forEach((file) => report("warning", `${section.root}/${file}: not numbered, chapter order is manual`));
+  });
+
+  scanContent(root)
+    .filter((folder) => !roots.has(folder.root))
+    .forEach((folder) => report("error", `${folder.root}/: section folder is not in the manifest`));
+
+  return [...problems, ...validateLocales(manifest, root), ...validatePlugins(manifest, root)];
+}
+
+function buildManifest(previous, root = ROOT) {
+  const existing = new Map((previous.sections || []).map((section) => [section.root, section]));
+  const sections = scanContent(root).map((folder) => {
+    const [, , name] = folder.root.match(SECTION_DIR);
+    const section = existing.get(folder.root) || {
+      id: name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, ""),
+      title: name.replace(/-/g, " "),
+      root: folder.root,
+      description: "",
+      intro: []
+    };
+    const onDisk = new Set(folder.files);
+    const kept = (section.files || []).filter((entry) => onDisk.has(entryFile(entry)));
+    const keptNames = new Set(kept.map(entryFile));
+    const added = folder.files.filter((file) => !keptNames.has(file));
+    return { ...section, files: [...kept, ...added] };
+  });
+  const next = { ...previous, sections };
+  const codes = localeCodes(root);
+  if (!codes.length && !previous.locales) return next;
+  const known = new Map((previous.locales || []).map((entry) => [entry.code, entry]));
+  next.locales = codes.map((code) => ({
+    ...(known.get(code) || { code, name: code }),
+    files: scanLocale(code, next, root)
+  }));
+  return next;
+}
+
+function contentHash(text) {
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, 16);
+}
+
+function readVersions(file = VERSIONS_FILE) {
+  if (!fs.existsSync(file)) return { files: {} };
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// Day of the last commit touching each file, newest first, from one git call.
+function gitDates(root = ROOT) {
+  const result = spawnSync("git", ["log", "--format=%x01%cs", "--name-only"], { cwd: root, encoding: "utf8", maxBuffer: 64 * 1024 * 1024 });
+  const dates = new Map();
+  if (result.status !== 0) return dates;
+  let date = null;
+  result.stdout.split("\n").forEach((line) => {
+    if (line.startsWith("\x01")) date = line.slice(1);
+    else if (line && date && !dates.has(line)) dates.set(line, date);
+  });
+  return dates;
+}
+
+function versionedFiles(manifest, root = ROOT) {
+  const translations = (manifest.locales || [])
+    .filter((entry) => entry.code)
+    .flatMap((entry) => (entry.files || []).map((file) => `${LOCALE_DIR}/${entry.code}/${file}`));
+  return [...ROOT_PAGES, ...normalizeManifest(manifest).flatMap((section) => section.files.map((file) => `${section.root}/${file}`)), ...translations]
+    .filter((file) => fs.existsSync(path.join(root, file)));
+}
+
+// A file keeps its date while its hash is unchanged. New files take the date of
+// their last commit; edited ones are dated today.
+function buildVersions(manifest, previous, root = ROOT) {
+  const old = previous.files || {};
+  const today = new Date().toISOString().slice(0, 10);
+  let dates = null;
+  const files = {};
+  versionedFiles(manifest, root).forEach((file) => {
+    const hash = contentHash(fs.readFileSync(path.join(root, file)));
+    if (old[file]?.hash === hash) {
+      files[file] = old[file];
+      return;
+    }
+    if (!old[file]) dates = dates || gitDates(root);
+    files[file] = { hash, updated: (!old[file] && dates.get(file)) || today };
+  });
+  return { files };
+}
+
+function validateVersions(manifest, versions, root = ROOT) {
+  const problems = [];
+  const files = versions.files || {};
+  versionedFiles(manifest, root)
+    .filter((file) => files[file]?.hash !== contentHash(fs.readFileSync(path.join(root, file))))
+    .forEach((file) => problems.push({ level: "error", message: `${file}: content hash is missing or out of date in guide-versions.json` }));
+  return problems;
+}
+
+function diffManifests(before, after) {
+  const list = (manifest) => new Set(
+    normalizeManifest(manifest).flatMap((section) => section.files.map((file) => `${section.root}/${file}`))
+  );
+  const a = list(before);
+  const b = list(after);
+  return {
+    added: [...b].filter((item) => !a.has(item)),
+    removed: [...a].filter((item) => !b.has(item))
+  };
+}
+
+function main(argv) {
+  const previous = readManifest();
+  if (argv.includes("--check")) {
+    const problems = [...validateManifest(previous), ...validateVersions(previous, readVersions())];
+    problems.forEach(({ level, message }) => console.log(`${level}: ${message}`));
+    const errors = problems.filter((problem) => problem.level === "error").length;
+    const chapters = normalizeManifest(previous).reduce((total, section) => total + section.files.length, 0);
+    console.log(errors ? `${errors} error(s) in guide.json or guide-versions.json` : `guide.json is valid (${chapters} chapters)`);
+    return errors ? 1 : 0;
+  }
+
+  const next = buildManifest(previous);
+  const { added, removed } = diffManifests(previous, next);
+  fs.writeFileSync(MANIFEST_FILE, `${JSON.stringify(next, null, 2)}\n`);
+  const versions = buildVersions(next, readVersions());
+  fs.writeFileSync(VERSIONS_FILE, `${JSON.stringify(versions, null, 2)}\n`);
+  added.forEach((item) => console.log(`added: ${item}`));
+  removed.forEach((item) => console.log(`removed: ${item}`));
+  console.log(`Wrote ${path.relative(ROOT, MANIFEST_FILE)} (${next.sections.length} sections) and ${path.relative(ROOT, VERSIONS_FILE)}`);
+  validateManifest(next)
+    .filter((problem) => problem.level === "warning")
+    .forEach(({ message }) => console.log(`warning: ${message}`));
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  ROOT,
+  MANIFEST_FILE,
+  VERSIONS_FILE,
+  LOCALE_DIR,
+  ROOT_PAGES,
+  titleFromFilename,
+  chapterSlug,
+  readManifest,
+  normalizeManifest,
+  scanContent,
+  scanLocale,
+  validateManifest,
+  buildManifest,
+  contentHash,
+  readVersions,
+  buildVersions,
+  validateVersions
+};
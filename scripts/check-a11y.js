@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+"use strict";
+
+// Checks the viewer shell and every chapter, rendered the way the viewer renders
+// it, for accessibility problems a screen reader or keyboard user would hit.
+//
+//   node scripts/check-a11y.js                 check index.html and every page in guide.json
+//   node scripts/check-a11y.js <file>...       check only the given chapters (and the shell)
+//   node scripts/check-a11y.js --json          print problems as JSON
+//
+// Exits with 1 when any error is found; warnings alone do not fail the run.
+// Colour contrast and focus order need a browser and are not covered here.
+
+const fs = require("fs");
+const path = require("path");
+const marked = require("../assets/vendor/marked/marked.min.js");
+const { htmlText, slugify, renderMarkdown, registerPlugin } = require("../assets/markdown-pipeline.js");
+const { ROOT, readManifest, normalizeManifest } = require("./build-manifest");
+const { collectPages, markdownContext } = require("./prerender");
+
+const SHELL_FILE = "index.html";
+const VOID_TAGS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+const RAW_TEXT_TAGS = new Set(["script", "style", "template"]);
+const TOKEN = /<!--[\s\S]*?-->|<!doctype[^>]*>|<(\/?)([a-z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</gi;
+const ATTRIBUTE = /([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+const ARIA_REFERENCES = ["aria-controls", "aria-labelledby", "aria-describedby", "aria-activedescendant", "for"];
+// Link text that says nothing once a screen reader lists the links out of context.
+const VAGUE_LINK_TEXT = ["here", "click here", "this", "link", "more", "read more", "this link"];
+const LABELLED_CONTROLS = ["input", "select", "textarea"];
+const UNLABELLED_INPUT_TYPES = ["hidden", "submit", "reset", "button", "image"];
+
+function parseAttributes(source) {
+  const attrs = {};
+  for (const match of source.matchAll(ATTRIBUTE)) {
+    const value = match[2] ?? match[3] ?? match[4] ?? "";
+    attrs[match[1].toLowerCase()] = htmlText(value);
+  }
+  return attrs;
+}
+
+// A forgiving tree builder: enough structure to ask about names, labels and ids.
+function parseHtml(html) {
+  const root = { tag: "#root", attrs: {}, children: [], parent: null };
+  let node = root;
+  TOKEN.lastIndex = 0;
+  let match;
+  while ((match = TOKEN.exec(html))) {
+    const [token, closing, name, attributes] = match;
+    if (!name) {
+      if (!token.startsWith("<!")) node.children.push({ text: htmlText(token), parent: node });
+      continue;
+    }
+    const tag = name.toLowerCase();
+    if (closing) {
+      let open = node;
+      while (open !== root && open.tag !== tag) open = open.parent;
+      if (open !== root) node = open.parent;
+      continue;
+    }
+    const element = { tag, attrs: parseAttributes(attributes), children: [], parent: node };
+    node.children.push(element);
+    if (RAW_TEXT_TAGS.has(tag)) {
+      const end = html.toLowerCase().indexOf(`</${tag}`, TOKEN.lastIndex);
+      TOKEN.lastIndex = end === -1 ? html.length : end;
+    } else if (!VOID_TAGS.has(tag) && !/\/\s*$/.test(attributes)) {
+      node = element;
+    }
+  }
+  return root;
+}
+
+function elements(root) {
+  const found = [];
+  const visit = (node) => node.children.forEach((child) => {
+    if (!child.tag) return;
+    found.push(child);
+    visit(child);
+  });
+  visit(root);
+  return found;
+}
+
+function closest(node, tag) {
+  for (let current = node; current; current = current.parent) {
+    if (current.tag === tag) return current;
+  }
+  return null;
+}
+
+function textContent(node) {
+  if (!node.tag) return node.text;
+  if (node.attrs["aria-hidden"] === "true") return "";
+  if (node.tag === "img") return node.attrs.alt || "";
+  return node.children.map(textContent).join("");
+}
+
+function clean(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+// The name assistive technology announces, in the order browsers compute it.
+function accessibleName(node, { byId, labels }) {
+  if (node.attrs["aria-labelledby"]) {
+    const text = node.attrs["aria-labelledby"].split(/\s+/).map((id) => (byId.has(id) ? textContent(byId.get(id)) : "")).join(" ");
+    if (clean(text)) return clean(text);
+  }
+  if (clean(node.attrs["aria-label"] || "")) return clean(node.attrs["aria-label"]);
+  if (LABELLED_CONTROLS.includes(node.tag)) {
+    if (node.tag === "input" && ["submit", "reset", "button"].includes(node.attrs.type) && node.attrs.value) return clean(node.attrs.value);
+    const label = closest(node, "label") || labels.find((item) => item.attrs.for && item.attrs.for === node.attrs.id);
+    if (label && clean(textContent(label))) return clean(textContent(label));
+  } else if (clean(textContent(node))) {
+    return clean(textContent(node));
+  }
+  return clean(node.attrs.title || "");
+}
+
+function isHidden(node) {
+  for (let current = node; current; current = current.parent) {
+    if ("hidden" in current.attrs && current.tag !== "input") return true;
+  }
+  return false;
+}
+
+// The heading a problem sits under, so it can be found in the rendered chapter.
+function where(node, all) {
+  const index = all.indexOf(node);
+  const heading = all.slice(0, index).reverse().find((item) => /^h[1-6]$/.test(item.tag) && clean(textContent(item)));
+  return heading ? ` under "${clean(textContent(heading))}"` : "";
+}
+
+// Rules that apply to any markup: names, labels, alt text and id references.
+function checkMarkup(root, report, options = {}) {
+  const all = elements(root);
+  const byId = new Map();
+  const names = { byId, labels: all.filter((node) => node.tag === "label") };
+  const ids = new Set(options.reservedIds || []);
+  all.forEach((node) => {
+    const id = node.attrs.id;
+    if (!id) return;
+    if (ids.has(id)) {
+      const clash = options.reservedIds?.has(id) ? " (also used by the viewer)" : "";
+      report("error", "duplicate-id", `id "${id}" is used more than once${clash}${where(node, all)}`);
+    }
+    ids.add(id);
+    byId.set(id, node);
+  });
+
+  all.forEach((node) => {
+    const at = () => where(node, all);
+    if (node.tag === "img") {
+      if (!("alt" in node.attrs)) {
+        report("error", "image-alt", `image "${node.attrs.src || ""}" has no alt text${at()}`);
+      } else if (!clean(node.attrs.alt) && node.attrs.role !== "presentation" && options.describeImages) {
+        report("warning", "image-alt", `image "${node.attrs.src || ""}" has empty alt text; describe it unless it is decorative${at()}`);
+      }
+    }
+    if (node.tag === "a" && "href" in node.attrs && !isHidden(node)) {
+      const name = accessibleName(node, names);
+      if (!name) report("error", "link-name", `link to "${node.attrs.href}" has no text${at()}`);
+      else if (options.linkText && VAGUE_LINK_TEXT.includes(name.toLowerCase().replace(/[.:!]+$/, ""))) {
+        report("warning", "link-text", `link text "${name}" does not say where "${node.attrs.href}" goes${at()}`);
+      }
+    }
+    if (node.tag === "button" && !accessibleName(node, names)) {
+      report("error", "button-name", `button${node.attrs.id ? ` #${node.attrs.id}` : ""} has no text or aria-label${at()}`);
+    }
+    if (LABELLED_CONTROLS.includes(node.tag) && !UNLABELLED_INPUT_TYPES.includes(node.attrs.type) && !accessibleName(node, names)) {
+      report("error", "control-label", `${node.tag}${node.attrs.id ? ` #${node.attrs.id}` : ""} has no label${at()}`);
+    }
+    if (node.tag === "iframe" && !clean(node.attrs.title || "")) {
+      report("error", "iframe-title", `iframe "${node.attrs.src || ""}" has no title${at()}`);
+    }
+    ARIA_REFERENCES.forEach((attribute) => {
+      if (!node.attrs[attribute] || (attribute === "for" && node.tag !== "label")) return;
+      node.attrs[attribute].split(/\s+/).filter((id) => id && !ids.has(id)).forEach((id) => {
+        report("error", "aria-reference", `${attribute}="${id}" points to no element${at()}`);
+      });
+    });
+  });
+  return all;
+}
+
+// The page around every chapter: language, title, landmarks and the skip link.
+function checkShell(html, report) {
+  const root = parseHtml(html);
+  const all = checkMarkup(root, report);
+  const htmlElement = all.find((node) => node.tag === "html");
+  if (!htmlElement?.attrs.lang) report("error", "document-lang", "<html> has no lang attribute");
+  const title = all.find((node) => node.tag === "title");
+  if (!title || !clean(textContent(title))) report("error", "document-title", "the page has no <title>");
+  const mains = all.filter((node) => node.tag === "main" || node.attrs.role === "main");
+  if (mains.length !== 1) report("error", "landmark-main", `expected one <main> landmark, found ${mains.length}`);
+  const body = all.find((node) => node.tag === "body");
+  const first = body && elements(body).find((node) => node.tag === "a" || node.tag === "button" || LABELLED_CONTROLS.includes(node.tag));
+  const target = first?.attrs.href?.startsWith("#") && all.find((node) => node.attrs.id === first.attrs.href.slice(1));
+  if (!target) report("error", "skip-link", "the first focusable element should be a link that skips to the content");
+  if (all.some((node) => node.attrs.id === "doc" && node.attrs["aria-live"])) {
+    report("error", "live-content", "#doc is a live region, so screen readers read whole chapters aloud as they load");
+  }
+  return new Set(all.map((node) => node.attrs.id).filter(Boolean));
+}
+
+// Heading ids the viewer adds after rendering; see assignHeadingIds() in assets/app.js.
+function assignHeadingIds(root) {
+  const used = new Map();
+  const headings = elements(root).filter((node) => node.tag === "h2" || node.tag === "h3");
+  headings.filter((node) => !node.attrs.id).forEach((heading) => {
+    let id = slugify(clean(textContent(heading)) || "section");
+    const count = (used.get(id) || 0) + 1;
+    used.set(id, count);
+    if (count > 1) id = `${id}-${count}`;
+    heading.attrs.id = id;
+  });
+}
+
+function checkChapter(html, report, shellIds) {
+  const root = parseHtml(html);
+  assignHeadingIds(root);
+  const all = checkMarkup(root, report, { reservedIds: shellIds, describeImages: true, linkText: true });
+  const h1 = all.filter((node) => node.tag === "h1");
+  if (!h1.length) report("warning", "page-heading", "the chapter has no H1 for focus to land on when it opens");
+  all.filter((node) => /^h[1-6]$/.test(node.tag) && !clean(textContent(node))).forEach((node) => {
+    report("error", "empty-heading", `an empty <${node.tag}>${where(node, all)}`);
+  });
+  all.filter((node) => node.tag === "table" && !elements(node).some((cell) => cell.tag === "th")).forEach((node) => {
+    report("warning", "table-header", `a table has no header row${where(node, all)}`);
+  });
+}
+
+function checkAccessibility(files) {
+  const manifest = readManifest();
+  (manifest.plugins || []).forEach((src) => registerPlugin(require(path.join(ROOT, src))));
+  const pages = collectPages(normalizeManifest(manifest));
+  const problems = [];
+  const reporter = (file) => (level, rule, message) => problems.push({ file, line: null, level, rule, message });
+
+  const shellIds = checkShell(fs.readFileSync(path.join(ROOT, SHELL_FILE), "utf8"), reporter(SHELL_FILE));
+  pages
+    .filter((page) => !files || files.includes(page.path))
+    .forEach((page) => {
+      const markdown = fs.readFileSync(path.join(ROOT, page.path), "utf8");
+      const html = renderMarkdown(marked, markdown, markdownContext(markdown, page, pages));
+      checkChapter(html, reporter(page.path), shellIds);
+    });
+  return problems;
+}
+
+function formatProblem({ file, level, rule, message }) {
+  return `${file}  ${level}  ${message}  (${rule})`;
+}
+
+function main(argv) {
+  const json = argv.includes("--json");
+  const files = argv
+    .filter((arg) => !arg.startsWith("--"))
+    .map((file) => path.relative(ROOT, path.resolve(file)).split(path.sep).join("/"));
+  const missing = files.filter((file) => !fs.existsSync(path.join(ROOT, file)));
+  if (missing.length) {
+    missing.forEach((file) => console.error(`No such file: ${file}`));
+    return 2;
+  }
+
+  const problems = checkAccessibility(files.length ? files : null);
+  const errors = problems.filter((problem) => problem.level === "error").length;
+  if (json) {
+    console.log(JSON.stringify(problems, null, 2));
+  } else {
+    problems.forEach((problem) => console.log(formatProblem(problem)));
+    const warnings = problems.length - errors;
+    console.log(problems.length ? `${errors} error(s), ${warnings} warning(s)` : "No problems found");
+  }
+  return errors ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  parseHtml,
+  checkShell,
+  checkChapter,
+  checkAccessibility
+};
@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+"use strict";
+
+// Checks the markdown chapters for problems that otherwise only show up in the viewer.
+//
+//   node scripts/lint-content.js                 lint README.md, GLOSSARY.md and every section folder
+//   node scripts/lint-content.js <file>...       lint only the given files
+//   node scripts/lint-content.js --json          print problems as JSON
+//
+// Exits with 1 when any error is found; warnings alone do not fail the run.
+
+const fs = require("fs");
+const path = require("path");
+const marked = require("../assets/vendor/marked/marked.min.js");
+const { htmlText, slugify, resolveWikilink, parseQuiz, parseGlossary } = require("../assets/markdown-pipeline.js");
+const { ROOT, ROOT_PAGES, titleFromFilename, readManifest, normalizeManifest, validateManifest } = require("./build-manifest");
+
+// Callout types with their own colours in styles.css.
+const CALLOUT_TYPES = ["tip", "warning", "danger", "def"];
+const GLOSSARY_FILE = "GLOSSARY.md";
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const CALLOUT = /^ {0,3}>\s*\[!([^\]]*)\]/;
+const RAW_HTML = /<(script|iframe)\b/i;
+const INLINE_LINK = /(!?)\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+["'(][^)]*)?\)/g;
+const REFERENCE_LINK = /^ {0,3}\[(?!\^)[^\]]+\]:\s*<?(\S+?)>?(?:\s|$)/;
+const WIKILINK = /!?\[\[([^[\]\n|]*?)(?:\|[^[\]\n]+?)?\]\]/g;
+const HTML_LINK = /\b(href|src)="([^"]*)"/g;
+
+const normalize = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+function stripInlineCode(line) {
+  return line.replace(/(`+)[^`]*?\1/g, (span) => " ".repeat(span.length));
+}
+
+function scanFile(file) {
+  const lines = fs.readFileSync(path.join(ROOT, file), "utf8").split(/\r?\n/);
+  const headings = [];
+  const links = [];
+  const wikilinks = [];
+  const fences = [];
+  const callouts = [];
+  const html = [];
+  const anchors = new Set();
+  let fence = null;
+
+  lines.forEach((text, index) => {
+    const line = index + 1;
+    const opening = text.match(FENCE);
+    if (fence) {
+      if (opening && opening[1][0] === fence[0] && opening[1].length >= fence.length && !opening[2]) fence = null;
+      else if (fences[fences.length - 1].body) fences[fences.length - 1].body.push(text);
+      return;
+    }
+    if (opening) {
+      fence = opening[1];
+      fences.push({ line, language: opening[2], body: opening[2] === "quiz" ? [] : null });
+      return;
+    }
+
+    const heading = text.match(HEADING);
+    if (heading) {
+      const title = htmlText(marked.parseInline(heading[2]));
+      headings.push({ line, level: heading[1].length, title });
+    }
+    const visible = stripInlineCode(text);
+    const callout = visible.match(CALLOUT);
+    if (callout) callouts.push({ line, type: callout[1] });
+    if (RAW_HTML.test(visible)) html.push({ line, tag: visible.match(RAW_HTML)[1].toLowerCase() });
+
+    for (const match of visible.matchAll(INLINE_LINK)) {
+      links.push({ line, href: match[2], image: Boolean(match[1]) });
+    }
+    for (const match of visible.matchAll(WIKILINK)) wikilinks.push({ line, target: match[1] });
+    const reference = visible.match(REFERENCE_LINK);
+    if (reference) links.push({ line, href: reference[1], image: false });
+    for (const match of visible.matchAll(HTML_LINK)) {
+      links.push({ line, href: match[2], image: match[1] === "src" });
+    }
+    for (const match of visible.matchAll(/\b(?:id|name)="([^"]+)"/g)) anchors.add(normalize(match[1]));
+  });
+
+  const used = new Map();
+  headings.forEach((heading) => {
+    anchors.add(normalize(heading.title));
+    if (heading.level !== 2 && heading.level !== 3) return;
+    const base = slugify(heading.title || "section");
+    const count = (used.get(base) || 0) + 1;
+    used.set(base, count);
+    heading.slug = count > 1 ? `${base}-${count}` : base;
+    heading.duplicateOf = count > 1 ? base : null;
+    anchors.add(normalize(heading.slug));
+  });
+
+  return { file, headings, links, wikilinks, fences, callouts, html, anchors, unclosed: fence ? lines.length : null };
+}
+
+function lintFile(scan, context) {
+  const problems = [];
+  const report = (line, level, rule, message) => problems.push({ file: scan.file, line, level, rule, message });
+
+  let previous = 0;
+  let h1 = null;
+  scan.headings.forEach((heading) => {
+    if (heading.level === 1) {
+      if (h1) report(heading.line, "warning", "multiple-h1", `second H1 "${heading.title}" (first on line ${h1})`);
+      h1 = h1 || heading.line;
+    }
+    if (previous && heading.level > previous + 1) {
+      report(heading.line, "warning", "heading-level", `H${heading.level} "${heading.title}" follows an H${previous}`);
+    }
+    previous = heading.level;
+    if (heading.duplicateOf) {
+      report(heading.line, "warning", "duplicate-slug", `heading "${heading.title}" repeats the id "${heading.duplicateOf}"; it renders as "${heading.slug}"`);
+    }
+  });
+
+  scan.fences.forEach(({ line, language, body }) => {
+    if (!language) report(line, "warning", "fence-language", "code fence has no language");
+    if (body) parseQuiz(body.join("\n")).errors.forEach((message) => report(line, "error", "quiz", message));
+  });
+  if (scan.unclosed) report(scan.unclosed, "error", "unclosed-fence", "code fence is never closed");
+
+  scan.callouts.forEach(({ line, type }) => {
+    if (!CALLOUT_TYPES.includes(type.toLowerCase())) {
+      report(line, "warning", "callout-type", `unknown callout type "[!${type}]" (styled types: ${CALLOUT_TYPES.join(", ")})`);
+    }
+  });
+
+  scan.html.forEach(({ line, tag }) => {
+    report(line, "error", "raw-html", `raw <${tag}> outside a code block`);
+  });
+
+  const base = new URL(scan.file, "https://guide.invalid/");
+  scan.links.forEach(({ line, href, image }) => {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith("//")) return;
+    let target;
+    try {
+      target = new URL(href, base);
+    } catch {
+      report(line, "error", "broken-link", `cannot parse link "${href}"`);
+      return;
+    }
+    const targetFile = decodeURIComponent(target.pathname.slice(1));
+    const anchor = decodeURIComponent(target.hash.slice(1));
+    if (targetFile !== scan.file || !href.startsWith("#")) {
+      if (!fs.existsSync(path.join(ROOT, targetFile))) {
+        report(line, "error", "broken-link", `${image ? "image" : "link"} target "${href}" does not exist`);
+        return;
+      }
+      if (/\.md$/i.test(targetFile) && !context.listed.has(targetFile)) {
+        report(line, "warning", "unlisted-link", `"${href}" points to a file that is not in guide.json`);
+      }
+    }
+    if (!anchor || !/\.md$/i.test(targetFile)) return;
+    const targetScan = context.scan(targetFile);
+    if (!targetScan.anchors.has(normalize(anchor))) {
+      report(line, "error", "broken-anchor", `no heading matches "#${anchor}" in ${targetFile === scan.file ? "this chapter" : targetFile}`);
+    }
+  });
+
+  scan.wikilinks.forEach(({ line, target }) => {
+    const [name, ...rest] = target.split("#");
+    const heading = rest.join("#").trim();
+    const page = resolveWikilink(name, { path: scan.file, pages: context.pages });
+    if (!page) {
+      report(line, "error", "broken-link", `wikilink "[[${target}]]" matches no chapter in guide.json`);
+      return;
+    }
+    if (heading && !context.scan(page.path).anchors.has(normalize(heading))) {
+      report(line, "error", "broken-anchor", `no heading matches "${heading}" in ${page.path === scan.file ? "this chapter" : page.path}`);
+    }
+  });
+
+  if (scan.file === GLOSSARY_FILE) problems.push(...lintGlossary(scan));
+  return problems.sort((a, b) => a.line - b.line);
+}
+
+// Wikilinks in "See:" lines are checked like any other; this covers the entries themselves.
+function lintGlossary(scan) {
+  const { entries, errors } = parseGlossary(fs.readFileSync(path.join(ROOT, scan.file), "utf8"));
+  const problems = errors.map(({ line, message }) => ({ file: scan.file, line, level: "error", rule: "glossary", message }));
+  entries
+    .filter((entry) => !entry.see)
+    .forEach((entry) => problems.push({ file: scan.file, line: entry.line, level: "warning", rule: "glossary", message: `"${entry.term}" has no "See:" link to the chapter that explains it` }));
+  return problems;
+}
+
+function lintContent(files) {
+  const manifest = readManifest();
+  const sections = normalizeManifest(manifest);
+  const listed = new Set([...ROOT_PAGES, ...sections.flatMap((section) => section.files.map((file) => `${section.root}/${file}`))]);
+  const pages = [{ path: "README.md", title: "Overview" }, { path: GLOSSARY_FILE, title: "Glossary" }, ...sections.flatMap((section) => section.files.map((file) => ({
+    path: `${section.root}/${file}`,
+    title: section.titles[file] || titleFromFilename(file)
+  })))];
+  const scans = new Map();
+  const context = {
+    listed,
+    pages,
+    scan(file) {
+      if (!scans.has(file)) scans.set(file, scanFile(file));
+      return scans.get(file);
+    }
+  };
+
+  const problems = [];
+  if (!files) {
+    validateManifest(manifest)
+      .filter(({ message }) => /unlisted|missing|not in the manifest/.test(message))
+      .forEach(({ level, message }) => {
+        const [file, ...rest] = message.split(": ");
+        problems.push({ file: file.replace(/\/$/, ""), line: null, level, rule: "manifest", message: rest.join(": ") });
+      });
+    files = [...ROOT_PAGES.filter((file) => fs.existsSync(path.join(ROOT, file))), ...sections.flatMap((section) => {
+      const dir = path.join(ROOT, section.root);
+      if (!fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir)
+        .filter((file) => file.toLowerCase().endsWith(".md"))
+        .sort()
+        .map((file) => `${section.root}/${file}`);
+    })];
+  }
+  files.forEach((file) => problems.push(...lintFile(context.scan(file), context)));
+  return problems;
+}
+
+function formatProblem({ file, line, level, rule, message }) {
+  return `${file}${line ? `:${line}` : ""}  ${level}  ${message}  (${rule})`;
+}
+
+function main(argv) {
+  const json = argv.includes("--json");
+  const files = argv
+    .filter((arg) => !arg.startsWith("--"))
+    .map((file) => path.relative(ROOT, path.resolve(file)).split(path.sep).join("/"));
+  const missing = files.filter((file) => !fs.existsSync(path.join(ROOT, file)));
+  if (missing.length) {
+    missing.forEach((file) => console.error(`No such file: ${file}`));
+    return 2;
+  }
+
+  const problems = lintContent(files.length ? files : null);
+  const errors = problems.filter((problem) => problem.level === "error").length;
+  if (json) {
+    console.log(JSON.stringify(problems, null, 2));
+  } else {
+    problems.forEach((problem) => console.log(formatProblem(problem)));
+    const warnings = problems.length - errors;
+    console.log(problems.length ? `${errors} error(s), ${warnings} warning(s)` : "No problems found");
+  }
+  return errors ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  CALLOUT_TYPES,
+  scanFile,
+  lintFile,
+  lintContent
+};
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+"use strict";
+
+// Renders every chapter in guide.json to a static page that the viewer hydrates
+// on load, so crawlers and readers without JavaScript get real content.
+//
+//   node scripts/prerender.js              write the static site to site/
+//   node scripts/prerender.js --out <dir>  write it somewhere else
+//
+// Chapters land at <section id>/<chapter slug>/index.html, the same paths the
+// viewer uses with <html data-routing="path">; serve the output folder with any
+// static file server. Plugins listed in guide.json run their markdown hooks
+// here too; their DOM hooks run when the viewer hydrates the page.
+
+const fs = require("fs");
+const path = require("path");
+const marked = require("../assets/vendor/marked/marked.min.js");
+const { escapeHtml, htmlText, embedTargets, renderMarkdown, registerPlugin, listPluginErrors } = require("../assets/markdown-pipeline.js");
+const { ROOT, titleFromFilename, chapterSlug, readManifest, normalizeManifest, validateManifest } = require("./build-manifest");
+
+const SITE_TITLE = "JavaScript Guide";
+const DEFAULT_OUT = path.join(ROOT, "site");
+const TEMPLATE_FILE = path.join(ROOT, "index.html");
+const STATIC_FILES = ["guide.json", "guide-versions.json", "README.md", "GLOSSARY.md", "sw.js", "404.html", "assets", "i18n"];
+const GLOSSARY_FILE = "GLOSSARY.md";
+const DESCRIPTION_LENGTH = 160;
+
+function collectPages(sections) {
+  const pages = [{
+    path: "README.md",
+    dir: "",
+    route: "home",
+    title: SITE_TITLE,
+    breadcrumb: "Home",
+    section: null
+  }];
+  if (fs.existsSync(path.join(ROOT, GLOSSARY_FILE))) {
+    pages.push({
+      path: GLOSSARY_FILE,
+      dir: "glossary/",
+      route: "glossary",
+      title: `Glossary · ${SITE_TITLE}`,
+      chapter: "Glossary",
+      breadcrumb: "Glossary",
+      section: null
+    });
+  }
+  sections.forEach((section) => {
+    section.files.forEach((file, index) => {
+      const title = section.titles[file] || titleFromFilename(file);
+      pages.push({
+        path: `${section.root}/${file}`,
+        dir: `${section.id}/${chapterSlug(file)}/`,
+        route: `${section.id}/${encodeURIComponent(file)}`,
+        title: `${title} · ${section.title} · ${SITE_TITLE}`,
+        chapter: title,
+        breadcrumb: `${section.title} / ${title}`,
+        section,
+        index
+      });
+    });
+  });
+  return pages;
+}
+
+function describe(markdown, fallback) {
+  const paragraph = marked.lexer(markdown).find((token) => token.type === "paragraph");
+  const text = paragraph ? htmlText(marked.parseInline(paragraph.text)).replace(/\s+/g, " ").trim() : "";
+  if (!text) return fallback;
+  if (text.length <= DESCRIPTION_LENGTH) return text;
+  const cut = text.slice(0, DESCRIPTION_LENGTH - 1);
+  return `${cut.slice(0, cut.lastIndexOf(" ") > 80 ? cut.lastIndexOf(" ") : cut.length)}…`;
+}
+
+function rootPrefix(page) {
+  return "../".repeat(page.dir.split("/").filter(Boolean).length);
+}
+
+// Re-point links written relative to `source` (a path from the guide root) so
+// they work from the page's folder; chapter links go to their static pages.
+function rewriteLinks(html, page, source, byPath = new Map()) {
+  const prefix = rootPrefix(page);
+  const base = new URL(source, "https://guide.invalid/");
+  return html.replace(/\b(href|src)="([^"]*)"/g, (match, attribute, value) => {
+    if (!value || value.startsWith("#") || /^[a-z][a-z0-9+.-]*:/i.test(value) || value.startsWith("//")) return match;
+    const target = new URL(value, base);
+    if (target.origin !== base.origin) return match;
+    const targetPath = decodeURIComponent(target.pathname.slice(1));
+    const linked = attribute === "href" ? byPath.get(targetPath) : null;
+    const href = linked ? `${prefix}${linked.dir}${target.hash}` : `${prefix}${target.pathname.slice(1)}${target.search}${target.hash}`;
+    return `${attribute}="${escapeHtml(href || "./")}"`;
+  });
+}
+
+function relativeDir(from, to) {
+  const href = path.posix.relative(from.dir || ".", to.dir || ".");
+  return href ? `${href}/` : "./";
+}
+
+function renderNav(page, pages, sections) {
+  if (!page.section) {
+    const links = sections
+      .filter((section) => section.files.length)
+      .map((section) => {
+        const first = pages.find((item) => item.section === section);
+        return `<a href="${relativeDir(page, first)}" data-section-id="${escapeHtml(section.id)}">${escapeHtml(section.title)}</a>`;
+      });
+    return `<div class="nav-section">Sections</div>${links.join("")}`;
+  }
+  const links = pages
+    .filter((item) => item.section === page.section)
+    .map((item) => {
+      const active = item === page ? " class=\"active\" aria-current=\"page\"" : "";
+      return `<a href="${relativeDir(page, item)}"${active}><span class="nav-label">${escapeHtml(item.chapter)}</span></a>`;
+    });
+  return `<div class="nav-section">${escapeHtml(page.section.title)}</div>${links.join("")}`;
+}
+
+// Same markup as the Previous/Next links the viewer appends to a chapter.
+function renderDocNav(page, prev, next) {
+  const link = (target, label, fallback) => `
+    <a class="doc-nav-link ${target ? "" : "disabled"}" href="${target ? relativeDir(page, target) : "#"}">
+      <span>${label}</span>
+      <strong>${target ? escapeHtml(target.chapter) : fallback}</strong>
+    </a>`;
+  return `<div class="doc-nav">${link(prev, "Previous", "Start")}${link(next, "Next", "End")}
+  </div>`;
+}
+
+function replaceOnce(html, search, replacement) {
+  if (!html.includes(search)) {
+    throw new Error(`index.html no longer contains ${JSON.stringify(search)}`);
+  }
+  return html.replace(search, () => replacement);
+}
+
+// Same context the viewer passes to the pipeline for wikilinks and embeds.
+function markdownContext(markdown, page, pages) {
+  const context = {
+    path: page.path,
+    pages: pages.map((item) => ({ path: item.path, title: item.chapter || "Overview" })),
+    sources: {}
+  };
+  embedTargets(markdown, context).forEach((target) => {
+    const file = path.join(ROOT, target);
+    if (fs.existsSync(file)) context.sources[target] = fs.readFileSync(file, "utf8");
+  });
+  return context;
+}
+
+function renderPage(template, page, context) {
+  const { pages, sections, byPath } = context;
+  const markdown = fs.readFileSync(path.join(ROOT, page.path), "utf8");
+  const siblings = page.section ? pages.filter((item) => item.section === page.section) : [];
+  const prev = siblings[page.index - 1];
+  const next = siblings[page.index + 1];
+  const description = describe(markdown, page.section ? page.section.description : "");
+  const rendered = renderMarkdown(marked, markdown, markdownContext(markdown, page, pages));
+  let body = rewriteLinks(rendered, page, page.path, byPath);
+  if (page.section) body += renderDocNav(page, prev, next);
+
+  const head = [
+    `<title>${escapeHtml(page.title)}</title>`,
+    description && `<meta name="description" content="${escapeHtml(description)}" />`,
+    `<meta property="og:title" content="${escapeHtml(page.chapter || page.title)}" />`,
+    description && `<meta property="og:description" content="${escapeHtml(description)}" />`,
+    `<meta property="og:type" content="${page.section ? "article" : "website"}" />`,
+    prev && `<link rel="prev" href="${relativeDir(page, prev)}" />`,
+    next && `<link rel="next" href="${relativeDir(page, next)}" />`
+  ].filter(Boolean).join("\n  ");
+
+  let html = rewriteLinks(template, page, "index.html");
+  const prefix = rootPrefix(page);
+  if (prefix) html = replaceOnce(html, "<html lang=\"en\"", `<html lang="en" data-root="${prefix}"`);
+  html = replaceOnce(html, `<title>${SITE_TITLE}</title>`, head);
+  html = replaceOnce(html, "<nav id=\"nav\" class=\"nav\"></nav>", `<nav id="nav" class="nav">${renderNav(page, pages, sections)}</nav>`);
+  html = replaceOnce(html, "<div class=\"breadcrumbs\" id=\"breadcrumbs\">Home</div>", `<div class="breadcrumbs" id="breadcrumbs">${escapeHtml(page.breadcrumb)}</div>`);
+  if (page.route !== "home") html = replaceOnce(html, "<section class=\"hero\" id=\"hero\">", "<section class=\"hero is-hidden\" id=\"hero\">");
+  html = replaceOnce(
+    html,
+    "<article id=\"doc\" class=\"doc\"></article>",
+    `<article id="doc" class="doc" data-route="${escapeHtml(page.route)}" data-prerendered="${escapeHtml(page.path)}">\n${body}</article>`
+  );
+  return html;
+}
+
+function prerender(out = DEFAULT_OUT) {
+  const manifest = readManifest();
+  const errors = validateManifest(manifest).filter((problem) => problem.level === "error");
+  if (errors.length) {
+    errors.forEach(({ message }) => console.error(`error: ${message}`));
+    throw new Error("guide.json has errors; run node scripts/build-manifest.js --check");
+  }
+  const relative = path.relative(out, ROOT);
+  if (!relative || !relative.startsWith("..")) {
+    throw new Error(`Refusing to write into ${out}: it contains the guide itself`);
+  }
+
+  const plugins = manifest.plugins || [];
+  plugins.forEach((src) => registerPlugin(require(path.join(ROOT, src))));
+  const sections = normalizeManifest(manifest);
+  const pages = collectPages(sections);
+  const context = { pages, sections, byPath: new Map(pages.map((page) => [page.path, page])) };
+  const template = fs.readFileSync(TEMPLATE_FILE, "utf8");
+
+  [...STATIC_FILES, ...plugins, ...sections.map((section) => section.root)]
+    .filter((entry) => fs.existsSync(path.join(ROOT, entry)))
+    .forEach((entry) => {
+      fs.cpSync(path.join(ROOT, entry), path.join(out, entry), { recursive: true });
+    });
+  pages.forEach((page) => {
+    const dir = path.join(out, page.dir);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, "index.html"), renderPage(template, page, context));
+  });
+  return pages;
+}
+
+function main(argv) {
+  const at = argv.indexOf("--out");
+  const out = at === -1 ? DEFAULT_OUT : path.resolve(argv[at + 1] || "");
+  try {
+    const pages = prerender(out);
+    listPluginErrors().forEach(({ plugin, hook, message }) => {
+      console.error(`warning: plugin "${plugin}" failed in ${hook}: ${message}`);
+    });
+    console.log(`Wrote ${pages.length} pages to ${path.relative(process.cwd(), out) || "."}`);
+    return 0;
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  collectPages,
+  describe,
+  markdownContext,
+  renderPage,
+  prerender
+};
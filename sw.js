@@ -0,0 +1,166 @@
+/* Service worker: app shell precache, network-first app code, cache-first chapters, offline fallback. */
+
+// Bump with any change to SHELL_ASSETS; activate drops every older shell cache.
+const SHELL_CACHE = "js-guide-shell-v2";
+// Shared with app.js, which fills it when the reader downloads the whole guide.
+const CONTENT_CACHE = "js-guide-content";
+const RUNTIME_CACHE = "js-guide-runtime";
+
+const SHELL_ASSETS = [
+  "./",
+  "index.html",
+  "guide.json",
+  "guide-versions.json",
+  "README.md",
+  "GLOSSARY.md",
+  "404.html",
+  "assets/styles.css",
+  "assets/export.css",
+  "assets/app.js",
+  "assets/markdown-pipeline.js",
+  "assets/markdown-worker.js",
+  "assets/search-worker.js",
+  "assets/graph-worker.js",
+  "assets/sandbox.html",
+  "assets/javascript-original.svg",
+  "assets/vendor/marked/marked.min.js",
+  "assets/vendor/highlight/highlight.min.js",
+  "assets/vendor/highlight/github.min.css",
+  "assets/vendor/highlight/github-dark.min.css",
+  "assets/highlight/sepia.css",
+  "assets/highlight/contrast.css",
+  "assets/vendor/mark/mark.min.js",
+  "assets/vendor/Literata/Literata-VariableFont_opsz,wght.woff2",
+  "assets/vendor/Literata/Literata-Italic-VariableFont_opsz,wght.woff2",
+  "assets/vendor/Varela_Round/VarelaRound-Regular.woff2",
+  "assets/vendor/JetBrainsMono-2.304/fonts/webfonts/JetBrainsMono-Regular.woff2",
+  "assets/vendor/JetBrainsMono-2.304/fonts/webfonts/JetBrainsMono-Medium.woff2",
+  "assets/vendor/JetBrainsMono-2.304/fonts/webfonts/JetBrainsMono-SemiBold.woff2",
+  "assets/vendor/JetBrainsMono-2.304/fonts/webfonts/JetBrainsMono-Bold.woff2"
+];
+
+// Font Awesome kit script plus the CSS and webfonts it pulls in.
+const RUNTIME_HOSTS = ["kit.fontawesome.com", "ka-f.fontawesome.com", "ka-p.fontawesome.com"];
+
+// Each language's interface strings, from the locales guide.json lists.
+async function localeAssets() {
+  try {
+    const manifest = await (await fetch("guide.json", { cache: "no-cache" })).json();
+    return (manifest.locales || []).map((locale) => `i18n/${locale.code}/strings.json`);
+  } catch {
+    return [];
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(async (cache) => cache.addAll([...SHELL_ASSETS, ...(await localeAssets())]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = [SHELL_CACHE, CONTENT_CACHE, RUNTIME_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => !keep.includes(key)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function isCacheable(response) {
+  return response && (response.ok || response.type === "opaque");
+}
+
+async function cacheFirst(request, cacheName, ignoreSearch = true) {
+  const cached = await caches.match(request, { ignoreSearch });
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (isCacheable(response)) {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (isCacheable(response)) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(request, cacheName, event) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  const update = fetch(request)
+    .then((response) => {
+      if (isCacheable(response)) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  if (cached) {
+    event.waitUntil(update);
+    return cached;
+  }
+  return update;
+}
+
+// Offline, a clean URL such as /node/streams goes back to the app shell at the
+// scope root, which picks the route up from ?route= the way 404.html does.
+function offlinePage(url) {
+  const scope = new URL(self.registration.scope);
+  const route = url.pathname.startsWith(scope.pathname) ? url.pathname.slice(scope.pathname.length) : "";
+  if (!route || route === "index.html") return caches.match("index.html");
+  scope.search = `?route=${encodeURIComponent(route)}`;
+  return Response.redirect(scope.toString(), 302);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) {
+    if (RUNTIME_HOSTS.includes(url.hostname)) {
+      event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE, event));
+    }
+    return;
+  }
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      networkFirst(request, SHELL_CACHE).catch(() => offlinePage(url))
+    );
+    return;
+  }
+
+  // App code, styles, the manifest and locale strings must match each other, so
+  // the network wins and the cache only covers being offline.
+  if (/\.(js|css|json|html)$/.test(url.pathname)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+    return;
+  }
+
+  // app.js adds ?v=<content hash> to chapter URLs, so a changed chapter misses the cache.
+  // Offline, an older copy (such as the precached README.md) beats no page at all.
+  if (url.pathname.endsWith(".md")) {
+    event.respondWith(
+      cacheFirst(request, CONTENT_CACHE, false).catch(async (error) => {
+        const stale = await caches.match(request, { ignoreSearch: true });
+        if (stale) return stale;
+        throw error;
+      })
+    );
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(request, SHELL_CACHE, event));
+});